@@ -6,20 +6,94 @@
 import { 
     generateId, 
     isValidNumber, 
+    clamp,
     debounce, 
+    throttle,
     showToast,
     checkBrowserSupport,
     log,
-    sanitizeInput
+    sanitizeInput,
+    escapeXml,
+    isSafeUrl
 } from './js/utils.js';
 
-import { DEFAULT_TEMPLATE } from './js/templates.js';
+import { 
+    DEFAULT_TEMPLATE, 
+    getTemplate,
+    getCellLabel,
+    getCellColor,
+    getPointColor
+} from './js/templates.js';
 
 import { 
     generateMatrix, 
-    renderMatrix
+    renderMatrix,
+    getPlotArea,
+    describeMatrix,
+    describeCell,
+    updateAccessibleTable
 } from './js/matrix.js';
 
+import { 
+    DEFAULT_AXIS, 
+    MAX_TICKS, 
+    getAxisMidpoint,
+    isLogAxis,
+    roundAxisValue 
+} from './js/scales.js';
+
+import { 
+    DEFAULT_GRID, 
+    normalizeGrid, 
+    resizeCells, 
+    getCellName, 
+    getGridLayout, 
+    getCell, 
+    getCellStats, 
+    formatCellStats 
+} from './js/grid.js';
+
+import { 
+    DEFAULT_TEXT_LAYOUT, 
+    normalizeTextLayout 
+} from './js/text.js';
+
+import { 
+    ANNOTATION_TYPES, 
+    MAX_ANNOTATIONS, 
+    MAX_ANNOTATION_TEXT, 
+    createAnnotation 
+} from './js/annotations.js';
+
+import { 
+    DEFAULT_DENSITY, 
+    MAX_POINTS, 
+    normalizeDensity 
+} from './js/density.js';
+
+import { MARKER_SHAPES, isMarkerShape } from './js/markers.js';
+
+import { isSonificationSupported, createSonifier } from './js/sonify.js';
+
+import { 
+    CANVAS_PRESETS, 
+    CUSTOM_CANVAS, 
+    DEFAULT_CANVAS, 
+    normalizeCanvas 
+} from './js/canvas.js';
+
+import { 
+    MAX_ZOOM, 
+    ZOOM_STEP, 
+    getFullView, 
+    isFullView, 
+    getZoomLevel, 
+    clampView, 
+    zoomView, 
+    panView, 
+    fitView 
+} from './js/viewport.js';
+
 import { 
     exportAsPNG, 
     exportAsSVG,
@@ -34,6 +108,12 @@ import {
     sanitizeState
 } from './js/share.js';
 
+// Example cell names for the classic 2×2 grid, in reading order
+const QUADRANT_PLACEHOLDERS = ['Major Projects', 'Quick Wins', 'Thankless Tasks', 'Fill-ins'];
+
+// Where the chosen UI theme (auto, light or dark) is remembered in this browser
+const THEME_STORAGE_KEY = 'think2x2-theme';
+
 /**
  * Application State
  */
@@ -43,9 +123,33 @@ const state = {
     xAxisName: '',
     yAxisName: '',
     template: DEFAULT_TEMPLATE,
+    grid: { ...DEFAULT_GRID },
+    cells: resizeCells(DEFAULT_GRID),
+    showStats: false,
+    axes: { x: { ...DEFAULT_AXIS }, y: { ...DEFAULT_AXIS } },
+    dividers: { x: 50, y: 50 },
+    textLayout: { ...DEFAULT_TEXT_LAYOUT },
+    canvas: { ...DEFAULT_CANVAS },
+    density: { ...DEFAULT_DENSITY },
+    categories: [],
+    shapeByCategory: false,
+    annotations: [],
     dataPoints: []
 };
 
+// Zoomed viewBox of the preview, or null while it shows the whole matrix
+let previewView = null;
+
+// Point that takes focus when tabbing into the preview (roving tabindex)
+let activePointId = null;
+
+// Point waiting for a label in the inline editor: values {x, y} of a new
+// point, or {id} of a point being renamed
+let pendingPoint = null;
+
+// Sonifier playing the preview while exploring by sound is on, or null
+let sonifier = null;
+
 /**
  * Initialize application on DOM ready
  */
@@ -60,10 +164,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Initialize components
+    initializeTheme();
     initializeForm();
     initializeDataTable();
+    initializeCategories();
+    initializeDensity();
+    initializeAnnotations();
     initializeButtons();
     initializeModal();
+    initializePointDragging();
+    initializePointCreation();
+    initializePointKeyboard();
+    initializePointTooltips();
+    initializePreviewZoom();
+    initializeSonification();
     
     // Load state from URL if present
     const urlState = loadStateFromURL();
@@ -124,14 +238,91 @@ function initializeForm() {
         yAxisInput.addEventListener('input', debouncedUpdate);
     }
     
+    // Grid size selects
+    ['gridRows', 'gridColumns'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', updateGridSize);
+        }
+    });
+    
+    // Cell statistics on the matrix and in the summary panel
+    const statsToggle = document.getElementById('statsToggle');
+    if (statsToggle) {
+        statsToggle.addEventListener('change', () => {
+            state.showStats = statsToggle.checked;
+            updatePreview();
+            updateURLHash(state);
+        });
+    }
+    
+    // Axis scale inputs
+    document.querySelectorAll('[data-axis]').forEach(input => {
+        const eventName = input.type === 'checkbox' || input.tagName === 'SELECT' ? 'change' : 'input';
+        input.addEventListener(eventName, debouncedUpdate);
+    });
+    
+    // Divider inputs
+    ['xDivider', 'yDivider'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', debouncedUpdate);
+        }
+    });
+    
+    // Text layout inputs
+    const textOverflowSelect = document.getElementById('textOverflow');
+    if (textOverflowSelect) {
+        textOverflowSelect.addEventListener('change', debouncedUpdate);
+    }
+    
+    const labelWidthInput = document.getElementById('labelWidth');
+    if (labelWidthInput) {
+        labelWidthInput.addEventListener('input', debouncedUpdate);
+    }
+    
+    const labelModeSelect = document.getElementById('labelMode');
+    if (labelModeSelect) {
+        labelModeSelect.addEventListener('change', debouncedUpdate);
+    }
+    
+    // Canvas size: a preset fills in its size, editing the size makes it custom
+    const canvasPresetSelect = document.getElementById('canvasPreset');
+    if (canvasPresetSelect) {
+        canvasPresetSelect.addEventListener('change', () => {
+            const preset = CANVAS_PRESETS[canvasPresetSelect.value];
+            if (preset) {
+                document.getElementById('canvasWidth').value = preset.width;
+                document.getElementById('canvasHeight').value = preset.height;
+            }
+            debouncedUpdate();
+        });
+    }
+    
+    ['canvasWidth', 'canvasHeight'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', () => {
+                if (canvasPresetSelect) canvasPresetSelect.value = CUSTOM_CANVAS;
+                debouncedUpdate();
+            });
+        }
+    });
+    
     // Template select
     if (templateSelect) {
         templateSelect.addEventListener('change', () => {
             state.template = templateSelect.value;
+            renderCategoryList();
+            renderCellEditor();
+            renderAnnotationList();
             updatePreview();
         });
     }
     
+    // Cell inputs for the default grid
+    renderCellEditor();
+    
     // Prevent form submission
     if (form) {
         form.addEventListener('submit', (e) => {
@@ -151,6 +342,974 @@ function initializeDataTable() {
             addDataPoint();
         });
     }
+    
+    const snapshotPositionsBtn = document.getElementById('snapshotPositionsBtn');
+    if (snapshotPositionsBtn) {
+        snapshotPositionsBtn.addEventListener('click', () => {
+            snapshotPositions();
+        });
+    }
+    
+    const clearMovementBtn = document.getElementById('clearMovementBtn');
+    if (clearMovementBtn) {
+        clearMovementBtn.addEventListener('click', () => {
+            clearMovement();
+        });
+    }
+}
+
+/**
+ * Initialize dragging data points in the live preview
+ * Pointer events cover mouse, touch and pen. The preview is re-rendered on
+ * every move, so the container captures the pointer rather than the point.
+ */
+function initializePointDragging() {
+    const container = document.getElementById('matrixPreview');
+    if (!container) return;
+    
+    let drag = null;
+    const throttledHashUpdate = throttle(() => updateURLHash(state), 250);
+    
+    container.addEventListener('pointerdown', (e) => {
+        const target = e.target.closest('[data-point-id]');
+        if (!target || e.button !== 0) return;
+        
+        const point = state.dataPoints.find(p => p.id === target.dataset.pointId);
+        const position = getPreviewPosition(container, e.clientX, e.clientY);
+        if (!point || !position) return;
+        
+        // Keep the grabbed spot under the pointer instead of jumping to the centre
+        const plotArea = getPlotArea(state);
+        drag = {
+            pointerId: e.pointerId,
+            point,
+            plotArea,
+            offsetX: plotArea.xScale.toPixel(point.x) - position.x,
+            offsetY: plotArea.yScale.toPixel(point.y) - position.y,
+            moved: false
+        };
+        
+        e.preventDefault();
+        container.setPointerCapture(e.pointerId);
+        container.classList.add('is-dragging');
+    });
+    
+    container.addEventListener('pointermove', (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        
+        const position = getPreviewPosition(container, e.clientX, e.clientY);
+        if (!position) return;
+        
+        const { point, plotArea } = drag;
+        const x = roundAxisValue(plotArea.xScale.toValue(position.x + drag.offsetX), state.axes.x);
+        const y = roundAxisValue(plotArea.yScale.toValue(position.y + drag.offsetY), state.axes.y);
+        if (x === point.x && y === point.y) return;
+        
+        point.x = x;
+        point.y = y;
+        drag.moved = true;
+        
+        updatePointRowValues(point);
+        updatePreview();
+        throttledHashUpdate();
+    });
+    
+    const endDrag = (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        
+        // The throttled update may have skipped the final position
+        if (drag.moved) {
+            updateURLHash(state);
+        }
+        
+        drag = null;
+        container.classList.remove('is-dragging');
+        suppressNextClick(container);
+    };
+    
+    container.addEventListener('pointerup', endDrag);
+    container.addEventListener('pointercancel', endDrag);
+}
+
+/**
+ * Initialize adding points by clicking an empty spot in the preview
+ * A label editor opens at the click; Enter (or leaving the field) adds the
+ * point, Escape cancels. The same editor renames points from the keyboard.
+ */
+function initializePointCreation() {
+    const container = document.getElementById('matrixPreview');
+    const editor = document.getElementById('pointEditor');
+    const labelInput = document.getElementById('pointEditorLabel');
+    if (!container || !editor || !labelInput) return;
+    
+    container.addEventListener('click', (e) => {
+        if (e.target.closest('[data-point-id]')) return;
+        
+        const position = getPreviewPosition(container, e.clientX, e.clientY);
+        if (!position) return;
+        
+        // Only clicks inside the plot area map onto values
+        const plotArea = getPlotArea(state);
+        if (position.x < plotArea.x || position.x > plotArea.x + plotArea.width ||
+            position.y < plotArea.y || position.y > plotArea.y + plotArea.height) {
+            return;
+        }
+        
+        openPointEditor(e.clientX, e.clientY, {
+            x: roundAxisValue(plotArea.xScale.toValue(position.x), state.axes.x),
+            y: roundAxisValue(plotArea.yScale.toValue(position.y), state.axes.y)
+        });
+    });
+    
+    editor.addEventListener('submit', (e) => {
+        e.preventDefault();
+        commitPointEditor();
+    });
+    
+    labelInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            const renamed = pendingPoint && pendingPoint.id;
+            closePointEditor();
+            if (renamed) focusPoint(renamed);
+        }
+    });
+    
+    labelInput.addEventListener('blur', commitPointEditor);
+}
+
+/**
+ * Open the inline label editor in the preview
+ * @param {number} clientX - Horizontal position to anchor the editor at
+ * @param {number} clientY - Vertical position to anchor the editor at
+ * @param {Object} pending - Values {x, y} of a new point, or {id} of a point to rename
+ * @param {string} label - Label to start from
+ */
+function openPointEditor(clientX, clientY, pending, label = '') {
+    const editor = document.getElementById('pointEditor');
+    const labelInput = document.getElementById('pointEditorLabel');
+    if (!editor || !labelInput) return;
+    
+    pendingPoint = pending;
+    
+    // Anchor the editor relative to the preview stage
+    const stageBounds = editor.parentElement.getBoundingClientRect();
+    editor.style.left = `${clientX - stageBounds.left}px`;
+    editor.style.top = `${clientY - stageBounds.top}px`;
+    editor.hidden = false;
+    labelInput.setAttribute('aria-label', pending.id ? 'Point label' : 'New point label');
+    labelInput.value = label;
+    labelInput.focus();
+    labelInput.select();
+}
+
+/**
+ * Close the inline label editor without changes
+ */
+function closePointEditor() {
+    const editor = document.getElementById('pointEditor');
+    const labelInput = document.getElementById('pointEditorLabel');
+    pendingPoint = null;
+    if (editor) editor.hidden = true;
+    if (labelInput) labelInput.value = '';
+}
+
+/**
+ * Add or rename the point in the inline label editor
+ * Unlabelled points are not drawn, so an empty label cancels.
+ */
+function commitPointEditor() {
+    const labelInput = document.getElementById('pointEditorLabel');
+    if (!pendingPoint || !labelInput) return;
+    
+    const label = labelInput.value.trim();
+    const pending = pendingPoint;
+    closePointEditor();
+    
+    if (pending.id) {
+        const point = state.dataPoints.find(p => p.id === pending.id);
+        if (point && label && label !== point.label) {
+            updateDataPoint(point.id, 'label', label);
+            updatePointRowValues(point);
+            announcePoint(`Renamed to ${label}`);
+        }
+        focusPoint(pending.id);
+        return;
+    }
+    
+    if (!label) return;
+    
+    addDataPoint(label, pending.x, pending.y);
+    updateURLHash(state);
+}
+
+/**
+ * Initialize operating points in the preview from the keyboard
+ * Points form one tab stop (a roving tabindex): Page Up/Down, Home and End
+ * move between them in table order, arrow keys nudge the focused point by
+ * 1 (10 with Shift), Enter renames it and Delete removes it.
+ * Each change is announced with the point's new position.
+ */
+function initializePointKeyboard() {
+    const container = document.getElementById('matrixPreview');
+    if (!container) return;
+    
+    // Direction of each arrow key across and up the plot
+    const arrows = {
+        ArrowLeft: [-1, 0],
+        ArrowRight: [1, 0],
+        ArrowUp: [0, 1],
+        ArrowDown: [0, -1]
+    };
+    
+    container.addEventListener('focusin', (e) => {
+        const target = e.target instanceof Element && e.target.closest('[data-point-id]');
+        if (target && target.dataset.pointId !== activePointId) {
+            activePointId = target.dataset.pointId;
+            updatePointFocus(container);
+        }
+    });
+    
+    container.addEventListener('keydown', (e) => {
+        const target = e.target instanceof Element && e.target.closest('[data-point-id]');
+        const point = target && state.dataPoints.find(p => p.id === target.dataset.pointId);
+        if (!point || e.altKey || e.ctrlKey || e.metaKey) return;
+        
+        const ids = [...getPointMarkers(container).keys()];
+        const index = ids.indexOf(point.id);
+        
+        if (arrows[e.key]) {
+            e.preventDefault();
+            nudgePoint(point, ...arrows[e.key], e.shiftKey ? 10 : 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const bounds = target.getBoundingClientRect();
+            openPointEditor(bounds.left + bounds.width / 2, bounds.top + bounds.height / 2, { id: point.id }, point.label);
+        } else if (e.key === 'Delete') {
+            e.preventDefault();
+            // Focus moves on to the next point, or back when the last one goes
+            const nextId = ids[index + 1] || ids[index - 1] || null;
+            activePointId = nextId;
+            removeDataPoint(point.id);
+            announcePoint(`${point.label} deleted. ${state.dataPoints.length} ${state.dataPoints.length === 1 ? 'point' : 'points'} left.`);
+            if (nextId) {
+                focusPoint(nextId);
+            } else {
+                container.focus();
+            }
+        } else if (['PageDown', 'PageUp', 'Home', 'End'].includes(e.key)) {
+            e.preventDefault();
+            const moves = {
+                PageDown: Math.min(ids.length - 1, index + 1),
+                PageUp: Math.max(0, index - 1),
+                Home: 0,
+                End: ids.length - 1
+            };
+            focusPoint(ids[moves[e.key]]);
+        }
+    });
+}
+
+/**
+ * Move a point by axis units, staying within the axis range
+ * Directions are as drawn, so on a reversed axis moving right lowers the
+ * value. Log axes have no fixed unit, so there a step is a hundredth of
+ * the plot instead.
+ * @param {Object} point - Data point
+ * @param {number} across - -1 for left, 1 for right, 0 to stay
+ * @param {number} up - -1 for down, 1 for up, 0 to stay
+ * @param {number} steps - Units (hundredths of the plot on log axes) to move by
+ */
+function nudgePoint(point, across, up, steps) {
+    const plotArea = getPlotArea(state);
+    
+    // SVG y runs down the plot, so a step up is a negative pixel step
+    const nudgeValue = (value, direction, axis, scale, pixelStep) => {
+        if (isLogAxis(axis)) {
+            return roundAxisValue(scale.toValue(scale.toPixel(value) + direction * steps * pixelStep), axis);
+        }
+        return roundAxisValue(value + (axis.reversed ? -1 : 1) * direction * steps, axis);
+    };
+    
+    if (across) {
+        updateDataPoint(point.id, 'x', nudgeValue(point.x, across, state.axes.x, plotArea.xScale, plotArea.width / 100));
+    }
+    if (up) {
+        updateDataPoint(point.id, 'y', nudgeValue(point.y, up, state.axes.y, plotArea.yScale, -plotArea.height / 100));
+    }
+    
+    updatePointRowValues(point);
+    focusPoint(point.id);
+    announcePoint(describePointPosition(point));
+    if (sonifier) playPoint(point);
+}
+
+/**
+ * Get the rendered points of the preview, in table order
+ * @param {HTMLElement} container - Preview container
+ * @returns {Map<string, Element>} - Rendered point by point id
+ */
+function getPointMarkers(container) {
+    const rendered = new Map();
+    container.querySelectorAll('.data-point[data-point-id]').forEach(marker => {
+        rendered.set(marker.dataset.pointId, marker);
+    });
+    
+    const markers = new Map();
+    state.dataPoints.forEach(point => {
+        if (rendered.has(point.id)) markers.set(point.id, rendered.get(point.id));
+    });
+    return markers;
+}
+
+/**
+ * Make the rendered points one tab stop and name them for screen readers
+ * Only the active point is in the tab order; the others are reached with
+ * the keys handled in initializePointKeyboard.
+ * @param {HTMLElement} container - Preview container
+ */
+function updatePointFocus(container) {
+    const markers = getPointMarkers(container);
+    if (!markers.has(activePointId)) {
+        activePointId = markers.size > 0 ? markers.keys().next().value : null;
+    }
+    
+    const points = new Map(state.dataPoints.map(point => [point.id, point]));
+    markers.forEach((marker, id) => {
+        marker.setAttribute('tabindex', id === activePointId ? '0' : '-1');
+        marker.setAttribute('role', 'button');
+        marker.setAttribute('aria-roledescription', 'point');
+        marker.setAttribute('aria-label', describePointPosition(points.get(id)));
+    });
+}
+
+/**
+ * Focus a rendered point and show its tooltip
+ * @param {string} id - Point id
+ */
+function focusPoint(id) {
+    const container = document.getElementById('matrixPreview');
+    const marker = container && getPointMarkers(container).get(id);
+    if (!marker) return;
+    
+    activePointId = id;
+    updatePointFocus(container);
+    if (document.activeElement === marker) {
+        // Already focused, so focusin will not refresh the tooltip
+        showPointTooltip(marker);
+    } else {
+        marker.focus();
+    }
+}
+
+/**
+ * Describe a point's label, position and cell, e.g. for screen readers
+ * @param {Object} point - Data point
+ * @returns {string} - Description
+ */
+function describePointPosition(point) {
+    const xAxisName = state.xAxisName.trim() || 'X Axis';
+    const yAxisName = state.yAxisName.trim() || 'Y Axis';
+    const layout = getGridLayout(state);
+    const cell = getCell(point.x, point.y, layout);
+    
+    return `${point.label}, ${xAxisName} ${formatPointValue(point.x, state.axes.x)}, ` +
+        `${yAxisName} ${formatPointValue(point.y, state.axes.y)}, in ${describeCell(cell, layout, state.cells, xAxisName, yAxisName)}`;
+}
+
+/**
+ * Announce a change to a point through the preview's live region
+ * @param {string} message - Message for screen readers
+ */
+function announcePoint(message) {
+    const announcer = document.getElementById('pointAnnouncer');
+    if (announcer) announcer.textContent = message;
+}
+
+/**
+ * Initialize point tooltips in the preview
+ * Hovering or focusing a point shows its details, coordinates and grid cell.
+ */
+function initializePointTooltips() {
+    const container = document.getElementById('matrixPreview');
+    if (!container) return;
+    
+    const isPoint = (target) => target instanceof Element && target.closest('[data-point-id]');
+    
+    container.addEventListener('pointerover', (e) => {
+        if (container.classList.contains('is-dragging')) return;
+        const target = isPoint(e.target);
+        if (target) showPointTooltip(target);
+    });
+    
+    container.addEventListener('pointerout', (e) => {
+        if (isPoint(e.target) && !isPoint(e.relatedTarget)) hidePointTooltip();
+    });
+    
+    container.addEventListener('focusin', (e) => {
+        const target = isPoint(e.target);
+        if (target) showPointTooltip(target);
+    });
+    
+    container.addEventListener('focusout', hidePointTooltip);
+    container.addEventListener('pointerdown', hidePointTooltip);
+}
+
+/**
+ * Show the tooltip for a point in the preview, anchored above it
+ * @param {Element} target - Rendered point with a data-point-id
+ */
+function showPointTooltip(target) {
+    const tooltip = document.getElementById('pointTooltip');
+    const point = state.dataPoints.find(p => p.id === target.dataset.pointId);
+    if (!tooltip || !point) return;
+    
+    const layout = getGridLayout(state);
+    const cell = getCell(point.x, point.y, layout);
+    const cellTitle = state.cells[cell.index] && state.cells[cell.index].title;
+    const cellName = getCellName(cell.row, cell.column, layout.rows, layout.columns);
+    
+    let html = `<strong class="point-tooltip-title">${sanitizeInput(point.label)}</strong>`;
+    html += `<span class="point-tooltip-meta">
+        ${sanitizeInput(state.xAxisName || 'X')}: ${sanitizeInput(formatPointValue(point.x, state.axes.x))} · 
+        ${sanitizeInput(state.yAxisName || 'Y')}: ${sanitizeInput(formatPointValue(point.y, state.axes.y))}
+    </span>`;
+    html += `<span class="point-tooltip-meta">${sanitizeInput(cellTitle ? `${cellName} · ${cellTitle}` : cellName)}</span>`;
+    
+    if (point.notes) {
+        html += `<p class="point-tooltip-notes">${sanitizeInput(point.notes)}</p>`;
+    }
+    [['Owner', point.owner], ['Status', point.status], ['Link', isSafeUrl(point.link) ? point.link : '']]
+        .filter(([, value]) => value)
+        .forEach(([name, value]) => {
+            html += `<span class="point-tooltip-detail"><span class="point-tooltip-key">${name}</span> ${sanitizeInput(value)}</span>`;
+        });
+    
+    tooltip.innerHTML = html;
+    
+    // Anchor above the point, relative to the preview stage
+    const stageBounds = tooltip.parentElement.getBoundingClientRect();
+    const pointBounds = target.getBoundingClientRect();
+    tooltip.style.left = `${pointBounds.left + pointBounds.width / 2 - stageBounds.left}px`;
+    tooltip.style.top = `${pointBounds.top - stageBounds.top}px`;
+    tooltip.hidden = false;
+    target.setAttribute('aria-describedby', 'pointTooltip');
+}
+
+/**
+ * Hide the point tooltip
+ */
+function hidePointTooltip() {
+    const tooltip = document.getElementById('pointTooltip');
+    if (tooltip) tooltip.hidden = true;
+}
+
+/**
+ * Format a point value exactly as entered, with the axis units
+ */
+function formatPointValue(value, axis) {
+    const sign = value < 0 ? '-' : '';
+    return `${sign}${axis.prefix}${Math.abs(value)}${axis.suffix}`;
+}
+
+/**
+ * Initialize zooming and panning the preview
+ * Wheel and pinch zoom around the pointer; dragging the background pans once
+ * zoomed in. Everything moves the viewBox, so exports are unaffected.
+ */
+function initializePreviewZoom() {
+    const container = document.getElementById('matrixPreview');
+    if (!container) return;
+    
+    const zoomBy = (factor, anchor) => {
+        const full = getPreviewCanvas();
+        if (!full) return;
+        
+        const view = previewView || full;
+        const center = anchor || { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+        setPreviewView(zoomView(view, full, factor, center));
+    };
+    
+    const zoomInBtn = document.getElementById('zoomInBtn');
+    if (zoomInBtn) {
+        zoomInBtn.addEventListener('click', () => zoomBy(ZOOM_STEP));
+    }
+    
+    const zoomOutBtn = document.getElementById('zoomOutBtn');
+    if (zoomOutBtn) {
+        zoomOutBtn.addEventListener('click', () => zoomBy(1 / ZOOM_STEP));
+    }
+    
+    const resetZoomBtn = document.getElementById('resetZoomBtn');
+    if (resetZoomBtn) {
+        resetZoomBtn.addEventListener('click', () => setPreviewView(null));
+    }
+    
+    const zoomCellSelect = document.getElementById('zoomCellSelect');
+    if (zoomCellSelect) {
+        zoomCellSelect.addEventListener('change', () => {
+            const index = parseInt(zoomCellSelect.value, 10);
+            zoomCellSelect.value = '';
+            if (!isNaN(index)) zoomToCell(index);
+        });
+    }
+    
+    // Trackpad pinches arrive as wheel events with ctrlKey set. The page only
+    // stops scrolling when the zoom can change: not when zooming out of the
+    // whole matrix, or further in at the closest zoom.
+    container.addEventListener('wheel', (e) => {
+        const anchor = getPreviewPosition(container, e.clientX, e.clientY);
+        const full = getPreviewCanvas();
+        if (!anchor || !full || e.deltaY === 0) return;
+        if (e.deltaY > 0 ? !previewView : getZoomLevel(previewView, full) >= MAX_ZOOM) return;
+        
+        e.preventDefault();
+        zoomBy(Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.002)), anchor);
+    }, { passive: false });
+    
+    // Background pointers: one pans (when zoomed in), two pinch
+    const pointers = new Map();
+    let panned = false;
+    
+    container.addEventListener('pointerdown', (e) => {
+        if (e.target.closest('[data-point-id]') || e.button !== 0) return;
+        
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (pointers.size === 1) panned = false;
+        container.setPointerCapture(e.pointerId);
+    });
+    
+    container.addEventListener('pointermove', (e) => {
+        const previous = pointers.get(e.pointerId);
+        const full = getPreviewCanvas();
+        const svg = container.querySelector('svg');
+        const matrix = svg && svg.getScreenCTM();
+        if (!previous || !full || !matrix) return;
+        
+        const current = { x: e.clientX, y: e.clientY };
+        
+        if (pointers.size === 2) {
+            const [other] = [...pointers].filter(([id]) => id !== e.pointerId).map(([, position]) => position);
+            const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+            const after = Math.hypot(current.x - other.x, current.y - other.y);
+            const midpoint = getPreviewPosition(container, (previous.x + other.x) / 2, (previous.y + other.y) / 2);
+            
+            if (before > 0 && midpoint) {
+                // Zoom around the fingers, then follow their midpoint
+                const zoomed = zoomView(previewView || full, full, after / before, midpoint);
+                const scale = matrix.a * (previewView || full).width / zoomed.width;
+                setPreviewView(panView(zoomed, full,
+                    -(current.x - previous.x) / 2 / scale,
+                    -(current.y - previous.y) / 2 / scale));
+                panned = true;
+            }
+        } else if (pointers.size === 1 && previewView) {
+            // Ignore small movements so clicks still add points
+            if (!panned && Math.hypot(current.x - previous.x, current.y - previous.y) < 4) return;
+            
+            if (!panned) {
+                panned = true;
+                container.classList.add('is-panning');
+            }
+            setPreviewView(panView(previewView, full,
+                -(current.x - previous.x) / matrix.a,
+                -(current.y - previous.y) / matrix.d));
+        } else {
+            return;
+        }
+        
+        pointers.set(e.pointerId, current);
+    });
+    
+    const endGesture = (e) => {
+        if (!pointers.delete(e.pointerId)) return;
+        
+        if (pointers.size === 0) {
+            container.classList.remove('is-panning');
+            if (panned) suppressNextClick(container);
+        }
+    };
+    
+    container.addEventListener('pointerup', endGesture);
+    container.addEventListener('pointercancel', endGesture);
+}
+
+/**
+ * Initialize exploring the preview by sound
+ * While it is on, a tone follows the pointer over the plot, and points play
+ * a short tone as they are focused or nudged. Hovering or focusing a point
+ * also speaks its label. The toggle is hidden without Web Audio.
+ */
+function initializeSonification() {
+    const container = document.getElementById('matrixPreview');
+    const sonifyBtn = document.getElementById('sonifyBtn');
+    if (!container || !sonifyBtn) return;
+    
+    if (!isSonificationSupported()) {
+        sonifyBtn.hidden = true;
+        return;
+    }
+    
+    sonifyBtn.addEventListener('click', () => setSonification(!sonifier));
+    
+    const isPoint = (target) => target instanceof Element && target.closest('[data-point-id]');
+    const findPoint = (target) => state.dataPoints.find(p => p.id === target.dataset.pointId);
+    
+    container.addEventListener('pointermove', throttle((e) => {
+        if (!sonifier) return;
+        
+        const position = getPreviewPosition(container, e.clientX, e.clientY);
+        const plotArea = getPlotArea(state);
+        if (!position || position.x < plotArea.x || position.x > plotArea.x + plotArea.width ||
+            position.y < plotArea.y || position.y > plotArea.y + plotArea.height) {
+            sonifier.release();
+            return;
+        }
+        
+        const sound = getPlotSound(plotArea, plotArea.xScale.toValue(position.x), plotArea.yScale.toValue(position.y));
+        sonifier.follow(sound.u, sound.v, sound.cellIndex);
+    }, 30));
+    
+    container.addEventListener('pointerleave', () => {
+        if (sonifier) sonifier.release();
+    });
+    
+    container.addEventListener('pointerover', (e) => {
+        const target = sonifier && isPoint(e.target);
+        // Moving between the parts of one point does not repeat its label
+        if (!target || isPoint(e.relatedTarget) === target) return;
+        
+        const point = findPoint(target);
+        if (point) sonifier.speak(point.label);
+    });
+    
+    container.addEventListener('focusin', (e) => {
+        const target = sonifier && isPoint(e.target);
+        const point = target && findPoint(target);
+        if (!point) return;
+        
+        playPoint(point);
+        sonifier.speak(point.label);
+    });
+}
+
+/**
+ * Turn exploring the preview by sound on or off
+ * @param {boolean} enabled - Whether to play the preview
+ */
+function setSonification(enabled) {
+    if (!enabled && sonifier) {
+        sonifier.close();
+        sonifier = null;
+    } else if (enabled && !sonifier) {
+        try {
+            sonifier = createSonifier();
+            showToast('🔊 Sound on: move over the plot or Tab through the points');
+        } catch (error) {
+            console.error('Failed to start audio:', error);
+            showToast('❌ Sound is not available in this browser');
+        }
+    }
+    
+    const sonifyBtn = document.getElementById('sonifyBtn');
+    if (sonifyBtn) sonifyBtn.setAttribute('aria-pressed', String(Boolean(sonifier)));
+    
+    const soundHelp = document.getElementById('previewSoundHelp');
+    if (soundHelp) soundHelp.hidden = !sonifier;
+}
+
+/**
+ * Play the short tone of a point
+ * @param {Object} point - Data point
+ */
+function playPoint(point) {
+    const sound = getPlotSound(getPlotArea(state), point.x, point.y);
+    sonifier.play(sound.u, sound.v, sound.cellIndex);
+}
+
+/**
+ * Get what a pair of values sounds like
+ * Pitch and pan follow the position as drawn, so log and reversed axes
+ * sound the way they look.
+ * @param {Object} plotArea - Plot area from getPlotArea
+ * @param {number} x - X value
+ * @param {number} y - Y value
+ * @returns {Object} - Sound {u, v, cellIndex}: u runs 0-100 across the plot, v 0-100 up it
+ */
+function getPlotSound(plotArea, x, y) {
+    return {
+        u: (plotArea.xScale.toPixel(x) - plotArea.x) / plotArea.width * 100,
+        v: (plotArea.y + plotArea.height - plotArea.yScale.toPixel(y)) / plotArea.height * 100,
+        cellIndex: getCell(x, y, getGridLayout(state)).index
+    };
+}
+
+/**
+ * Zoom the preview to fit one grid cell
+ * @param {number} index - Cell index in reading order
+ */
+function zoomToCell(index) {
+    const full = getPreviewCanvas();
+    if (!full) return;
+    
+    const { columnEdges, rowEdges } = getPlotArea(state);
+    const { columns } = normalizeGrid(state.grid);
+    const row = Math.floor(index / columns);
+    const column = index % columns;
+    if (row + 1 >= rowEdges.length) return;
+    
+    setPreviewView(fitView({
+        x: columnEdges[column],
+        y: rowEdges[row],
+        width: columnEdges[column + 1] - columnEdges[column],
+        height: rowEdges[row + 1] - rowEdges[row]
+    }, full));
+}
+
+/**
+ * Get the full canvas of the rendered preview
+ * @returns {Object|null} - Full view, or null if nothing is rendered
+ */
+function getPreviewCanvas() {
+    const svg = document.querySelector('#matrixPreview svg');
+    if (!svg) return null;
+    return getFullView(svg.width.baseVal.value, svg.height.baseVal.value);
+}
+
+/**
+ * Zoom the preview to a view, or back to the whole matrix with null
+ * @param {Object|null} view - View {x, y, width, height} in SVG user units
+ */
+function setPreviewView(view) {
+    previewView = view;
+    applyPreviewView();
+}
+
+/**
+ * Apply the current view to the rendered preview and update the zoom controls
+ */
+function applyPreviewView() {
+    const container = document.getElementById('matrixPreview');
+    const svg = container && container.querySelector('svg');
+    const full = getPreviewCanvas();
+    if (!svg || !full) return;
+    
+    // The canvas may have changed size (e.g., a legend appeared) since zooming
+    previewView = isFullView(previewView, full) ? null : clampView(previewView, full);
+    const view = previewView || full;
+    svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.width} ${view.height}`);
+    container.classList.toggle('is-zoomed', Boolean(previewView));
+    hidePointTooltip();
+    
+    const zoomLevel = document.getElementById('zoomLevel');
+    if (zoomLevel) {
+        zoomLevel.textContent = `${Math.round(getZoomLevel(previewView, full) * 100)}%`;
+    }
+    
+    const resetZoomBtn = document.getElementById('resetZoomBtn');
+    if (resetZoomBtn) resetZoomBtn.disabled = !previewView;
+    
+    const exportViewToggle = document.getElementById('exportViewToggle');
+    if (exportViewToggle) {
+        exportViewToggle.disabled = !previewView;
+        if (!previewView) exportViewToggle.checked = false;
+    }
+    
+    // The minimap outlines the visible part of the whole matrix
+    const minimap = document.getElementById('previewMinimap');
+    const indicator = minimap && minimap.querySelector('.preview-minimap-view');
+    if (minimap && indicator) {
+        minimap.hidden = !previewView;
+        minimap.style.aspectRatio = `${full.width} / ${full.height}`;
+        indicator.style.left = `${(view.x - full.x) / full.width * 100}%`;
+        indicator.style.top = `${(view.y - full.y) / full.height * 100}%`;
+        indicator.style.width = `${view.width / full.width * 100}%`;
+        indicator.style.height = `${view.height / full.height * 100}%`;
+    }
+}
+
+/**
+ * List the grid cells in the "Zoom to" select
+ */
+function renderZoomOptions() {
+    const select = document.getElementById('zoomCellSelect');
+    if (!select) return;
+    
+    const { rows, columns } = normalizeGrid(state.grid);
+    let options = '<option value="">Zoom to…</option>';
+    for (let index = 0; index < rows * columns; index++) {
+        const name = getCellName(Math.floor(index / columns), index % columns, rows, columns);
+        const title = state.cells[index] && state.cells[index].title;
+        options += `<option value="${index}">${sanitizeInput(title ? `${name} · ${title}` : name)}</option>`;
+    }
+    select.innerHTML = options;
+}
+
+/**
+ * Fill the summary panel with each cell's point count, share and mean position
+ * The panel is shown with the statistics on the matrix and follows every change.
+ */
+function renderStatsPanel() {
+    const panel = document.getElementById('statsPanel');
+    const tbody = document.getElementById('statsBody');
+    if (!panel || !tbody) return;
+    
+    panel.hidden = !state.showStats;
+    if (!state.showStats) return;
+    
+    const layout = getGridLayout(state);
+    const isQuadrants = layout.rows === 2 && layout.columns === 2;
+    const heading = document.getElementById('statsHeading');
+    const cellHeader = document.getElementById('statsCellHeader');
+    const xHeader = document.getElementById('statsXHeader');
+    const yHeader = document.getElementById('statsYHeader');
+    if (heading) heading.textContent = isQuadrants ? 'Quadrant Summary' : 'Cell Summary';
+    if (cellHeader) cellHeader.textContent = isQuadrants ? 'Quadrant' : 'Cell';
+    if (xHeader) xHeader.textContent = `Mean ${state.xAxisName || 'X'}`;
+    if (yHeader) yHeader.textContent = `Mean ${state.yAxisName || 'Y'}`;
+    
+    tbody.innerHTML = getCellStats(state.dataPoints, layout).map(stat => {
+        const name = getCellName(stat.row, stat.column, layout.rows, layout.columns);
+        const title = state.cells[stat.index] && state.cells[stat.index].title;
+        const text = formatCellStats(stat, state.axes);
+        return `
+            <tr>
+                <th scope="row">${sanitizeInput(title ? `${name} · ${title}` : name)}</th>
+                <td>${stat.count}</td>
+                <td>${text.share}</td>
+                <td>${sanitizeInput(text.meanX)}</td>
+                <td>${sanitizeInput(text.meanY)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Get the data to export: the whole matrix, or the zoomed view if chosen
+ */
+function getExportData() {
+    const exportViewToggle = document.getElementById('exportViewToggle');
+    return exportViewToggle && exportViewToggle.checked && previewView 
+        ? { ...state, view: previewView } 
+        : state;
+}
+
+/**
+ * Stop the click that follows a drag from adding a point where it ended
+ */
+function suppressNextClick(container) {
+    const blockClick = (event) => event.stopImmediatePropagation();
+    container.addEventListener('click', blockClick, { capture: true, once: true });
+    setTimeout(() => container.removeEventListener('click', blockClick, { capture: true }), 0);
+}
+
+/**
+ * Convert a client position into SVG user units of the preview
+ * @returns {Object|null} - Position {x, y}, or null if nothing is rendered
+ */
+function getPreviewPosition(container, clientX, clientY) {
+    const svg = container.querySelector('svg');
+    const matrix = svg && svg.getScreenCTM();
+    if (!matrix) return null;
+    
+    const position = new DOMPoint(clientX, clientY).matrixTransform(matrix.inverse());
+    return { x: position.x, y: position.y };
+}
+
+/**
+ * Show a point's current label and position in its table row
+ */
+function updatePointRowValues(point) {
+    const tbody = document.getElementById('dataPointsBody');
+    if (!tbody) return;
+    
+    const row = Array.from(tbody.rows).find(r => r.dataset.pointId === point.id);
+    if (!row) return;
+    
+    ['label', 'x', 'y'].forEach(field => {
+        const input = row.querySelector(`[data-field="${field}"]`);
+        if (input) input.value = point[field];
+    });
+}
+
+/**
+ * Initialize category management
+ */
+function initializeCategories() {
+    const newCategoryInput = document.getElementById('newCategoryInput');
+    const addCategoryBtn = document.getElementById('addCategoryBtn');
+    
+    const submitCategory = () => {
+        if (addCategory(newCategoryInput.value)) {
+            newCategoryInput.value = '';
+        }
+    };
+    
+    if (newCategoryInput) {
+        newCategoryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                submitCategory();
+            }
+        });
+    }
+    
+    if (addCategoryBtn && newCategoryInput) {
+        addCategoryBtn.addEventListener('click', submitCategory);
+    }
+    
+    const shapeByCategoryToggle = document.getElementById('shapeByCategoryToggle');
+    if (shapeByCategoryToggle) {
+        shapeByCategoryToggle.addEventListener('change', () => {
+            state.shapeByCategory = shapeByCategoryToggle.checked;
+            updatePreview();
+            updateURLHash(state);
+        });
+    }
+}
+
+/**
+ * Initialize the density heatmap toggles
+ * Labels can only be hidden while the heatmap is shown.
+ */
+function initializeDensity() {
+    const densityToggle = document.getElementById('densityToggle');
+    const hideLabelsToggle = document.getElementById('hideLabelsToggle');
+    if (!densityToggle || !hideLabelsToggle) return;
+    
+    const updateDensity = () => {
+        state.density = normalizeDensity({
+            enabled: densityToggle.checked,
+            hideLabels: hideLabelsToggle.checked
+        });
+        hideLabelsToggle.disabled = !state.density.enabled;
+        
+        if (!state.density.enabled && state.dataPoints.length > MAX_POINTS) {
+            showToast(`⚠️ Without the heatmap, links keep only the first ${MAX_POINTS} points`);
+        }
+        
+        updatePreview();
+        updateURLHash(state);
+    };
+    
+    densityToggle.addEventListener('change', updateDensity);
+    hideLabelsToggle.addEventListener('change', updateDensity);
+}
+
+/**
+ * Initialize adding annotations
+ */
+function initializeAnnotations() {
+    const typeSelect = document.getElementById('newAnnotationType');
+    const addAnnotationBtn = document.getElementById('addAnnotationBtn');
+    
+    if (typeSelect && addAnnotationBtn) {
+        addAnnotationBtn.addEventListener('click', () => {
+            addAnnotation(typeSelect.value);
+        });
+    }
+    
+    renderAnnotationList();
 }
 
 /**
@@ -189,7 +1348,7 @@ function initializeButtons() {
             exportPngBtn.disabled = true;
             exportPngBtn.textContent = '⏳ Exporting...';
             
-            await exportWithValidation(state, 'png');
+            await exportWithValidation(getExportData(), 'png');
             
             exportPngBtn.disabled = false;
             exportPngBtn.textContent = '⬇️ PNG';
@@ -203,7 +1362,7 @@ function initializeButtons() {
             exportSvgBtn.disabled = true;
             exportSvgBtn.textContent = '⏳ Exporting...';
             
-            await exportWithValidation(state, 'svg');
+            await exportWithValidation(getExportData(), 'svg');
             
             exportSvgBtn.disabled = false;
             exportSvgBtn.textContent = '⬇️ SVG';
@@ -219,6 +1378,50 @@ function initializeButtons() {
     }
 }
 
+/**
+ * Initialize the UI theme switcher
+ * The app follows the system's light or dark setting (prefers-color-scheme)
+ * until a theme is picked; the choice is remembered in this browser only.
+ * Matrix templates are chosen separately, so exports look the same for everyone.
+ */
+function initializeTheme() {
+    const themeSelect = document.getElementById('themeSelect');
+    
+    const applyTheme = (theme) => {
+        if (theme === 'light' || theme === 'dark') {
+            document.documentElement.dataset.theme = theme;
+        } else {
+            delete document.documentElement.dataset.theme;
+        }
+    };
+    
+    let saved = null;
+    try {
+        saved = localStorage.getItem(THEME_STORAGE_KEY);
+    } catch (error) {
+        // Storage can be unavailable (e.g., blocked cookies); fall back to auto
+        console.error('Failed to read theme preference:', error);
+    }
+    
+    const theme = saved === 'light' || saved === 'dark' ? saved : 'auto';
+    applyTheme(theme);
+    if (!themeSelect) return;
+    
+    themeSelect.value = theme;
+    themeSelect.addEventListener('change', () => {
+        applyTheme(themeSelect.value);
+        try {
+            if (themeSelect.value === 'auto') {
+                localStorage.removeItem(THEME_STORAGE_KEY);
+            } else {
+                localStorage.setItem(THEME_STORAGE_KEY, themeSelect.value);
+            }
+        } catch (error) {
+            console.error('Failed to save theme preference:', error);
+        }
+    });
+}
+
 /**
  * Initialize modal
  */
@@ -252,60 +1455,325 @@ function initializeModal() {
         });
     }
     
-    if (overlay) {
-        overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) {
-                closeModal();
-            }
+    if (overlay) {
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                closeModal();
+            }
+        });
+    }
+    
+    // ESC key to close
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal && !modal.hidden) {
+            closeModal();
+        }
+    });
+}
+
+/**
+ * Open about modal
+ */
+function openModal() {
+    const modal = document.getElementById('aboutModal');
+    if (modal) {
+        modal.hidden = false;
+        modal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+        
+        // Focus close button for accessibility
+        const closeBtn = document.getElementById('closeModalBtn');
+        if (closeBtn) {
+            setTimeout(() => closeBtn.focus(), 100);
+        }
+    }
+}
+
+/**
+ * Update state from form inputs
+ */
+function updateStateFromForm() {
+    const titleInput = document.getElementById('matrixTitle');
+    const subtitleInput = document.getElementById('matrixSubtitle');
+    const xAxisInput = document.getElementById('xAxisName');
+    const yAxisInput = document.getElementById('yAxisName');
+    const templateSelect = document.getElementById('templateSelect');
+    
+    if (titleInput) state.title = titleInput.value;
+    if (subtitleInput) state.subtitle = subtitleInput.value;
+    if (xAxisInput) state.xAxisName = xAxisInput.value;
+    if (yAxisInput) state.yAxisName = yAxisInput.value;
+    if (templateSelect) state.template = templateSelect.value;
+    
+    updateAxesFromForm();
+    
+    const xDividerInput = document.getElementById('xDivider');
+    const yDividerInput = document.getElementById('yDivider');
+    const { x: xAxis, y: yAxis } = state.axes;
+    if (xDividerInput && isValidNumber(xDividerInput.value, xAxis.min, xAxis.max)) {
+        state.dividers.x = clamp(parseFloat(xDividerInput.value), xAxis.min, xAxis.max);
+    }
+    if (yDividerInput && isValidNumber(yDividerInput.value, yAxis.min, yAxis.max)) {
+        state.dividers.y = clamp(parseFloat(yDividerInput.value), yAxis.min, yAxis.max);
+    }
+    
+    const textOverflowSelect = document.getElementById('textOverflow');
+    const labelWidthInput = document.getElementById('labelWidth');
+    const labelModeSelect = document.getElementById('labelMode');
+    state.textLayout = normalizeTextLayout({
+        overflow: textOverflowSelect ? textOverflowSelect.value : state.textLayout.overflow,
+        labelWidth: labelWidthInput ? labelWidthInput.value : state.textLayout.labelWidth,
+        labels: labelModeSelect ? labelModeSelect.value : state.textLayout.labels
+    });
+    
+    const canvasPresetSelect = document.getElementById('canvasPreset');
+    const canvasWidthInput = document.getElementById('canvasWidth');
+    const canvasHeightInput = document.getElementById('canvasHeight');
+    state.canvas = normalizeCanvas({
+        preset: canvasPresetSelect ? canvasPresetSelect.value : state.canvas.preset,
+        width: canvasWidthInput ? canvasWidthInput.value : state.canvas.width,
+        height: canvasHeightInput ? canvasHeightInput.value : state.canvas.height
+    });
+    
+    updateCellHints();
+    
+    // Update URL hash
+    updateURLHash(state);
+}
+
+/**
+ * Update axis ranges, units, tick counts and scale types from the axis scale inputs
+ * A range is only applied once min is below max. Dividers left in the middle
+ * of the old scale move to the middle of the new one; others are kept in range.
+ */
+function updateAxesFromForm() {
+    ['x', 'y'].forEach(name => {
+        const axis = state.axes[name];
+        const field = key => document.querySelector(`[data-axis="${name}"][data-field="${key}"]`);
+        const minInput = field('min');
+        const maxInput = field('max');
+        const prefixInput = field('prefix');
+        const suffixInput = field('suffix');
+        const ticksInput = field('ticks');
+        const typeInput = field('type');
+        const reversedInput = field('reversed');
+        
+        if (prefixInput) axis.prefix = prefixInput.value.substring(0, 8);
+        if (suffixInput) axis.suffix = suffixInput.value.substring(0, 8);
+        if (ticksInput && isValidNumber(ticksInput.value, 0, MAX_TICKS)) {
+            axis.ticks = Math.round(parseFloat(ticksInput.value));
+        }
+        
+        if (reversedInput) axis.reversed = reversedInput.checked;
+        
+        const min = minInput ? parseFloat(minInput.value) : axis.min;
+        const max = maxInput ? parseFloat(maxInput.value) : axis.max;
+        const type = typeInput ? typeInput.value : axis.type;
+        const validRange = isFinite(min) && isFinite(max) && min < max;
+        
+        if (validRange && (min !== axis.min || max !== axis.max || type !== axis.type)) {
+            const wasCentred = state.dividers[name] === getAxisMidpoint(axis);
+            axis.min = min;
+            axis.max = max;
+            axis.type = type;
+            state.dividers[name] = wasCentred 
+                ? getAxisMidpoint(axis) 
+                : clamp(state.dividers[name], min, max);
+            clampPositionsToAxis(name);
+        }
+    });
+    
+    updateAxisInputs();
+}
+
+/**
+ * Move point and annotation positions into an axis range after it changes
+ * Share links clamp them the same way (see sanitizeState), so a link shows
+ * the matrix as it is on screen.
+ * @param {string} name - Axis ('x' or 'y')
+ */
+function clampPositionsToAxis(name) {
+    const { min, max } = state.axes[name];
+    
+    state.dataPoints.forEach(point => {
+        point[name] = clamp(point[name], min, max);
+        if (point.from) point.from[name] = clamp(point.from[name], min, max);
+        updatePointRowValues(point);
+    });
+    
+    const list = document.getElementById('annotationList');
+    const fieldsets = list ? Array.from(list.children) : [];
+    state.annotations.forEach(annotation => {
+        const fieldset = fieldsets.find(f => f.dataset.annotationId === annotation.id);
+        [`${name}1`, `${name}2`].forEach(field => {
+            annotation[field] = clamp(annotation[field], min, max);
+            const input = fieldset && fieldset.querySelector(`[data-field="${field}"]`);
+            if (input) input.value = annotation[field];
         });
-    }
-    
-    // ESC key to close
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && modal && !modal.hidden) {
-            closeModal();
-        }
     });
 }
 
 /**
- * Open about modal
+ * Sync range-dependent inputs and headers with the current axis ranges
+ * Positions were already moved into the range by clampPositionsToAxis.
  */
-function openModal() {
-    const modal = document.getElementById('aboutModal');
-    if (modal) {
-        modal.hidden = false;
-        modal.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
+function updateAxisInputs() {
+    ['x', 'y'].forEach(name => {
+        const { min, max } = state.axes[name];
         
-        // Focus close button for accessibility
-        const closeBtn = document.getElementById('closeModalBtn');
-        if (closeBtn) {
-            setTimeout(() => closeBtn.focus(), 100);
+        const header = document.getElementById(`${name}ValueHeader`);
+        if (header) header.textContent = `${name.toUpperCase()} Value (${min} to ${max})`;
+        
+        const dividerInput = document.getElementById(`${name}Divider`);
+        if (dividerInput) {
+            // Dividers only apply to a two-way split; more cells split the axis evenly
+            dividerInput.disabled = (name === 'x' ? state.grid.columns : state.grid.rows) !== 2;
+            dividerInput.min = min;
+            dividerInput.max = max;
+            if (parseFloat(dividerInput.value) !== state.dividers[name]) {
+                dividerInput.value = state.dividers[name];
+            }
         }
-    }
+        
+        document.querySelectorAll(`#dataPointsBody [data-field="${name}"], #annotationList [data-coordinate="${name}"]`).forEach(input => {
+            input.min = min;
+            input.max = max;
+        });
+    });
 }
 
 /**
- * Update state from form inputs
+ * Update cell hints in the form (e.g., "High Feasibility / Low Impact")
  */
-function updateStateFromForm() {
-    const titleInput = document.getElementById('matrixTitle');
-    const subtitleInput = document.getElementById('matrixSubtitle');
-    const xAxisInput = document.getElementById('xAxisName');
-    const yAxisInput = document.getElementById('yAxisName');
-    const templateSelect = document.getElementById('templateSelect');
+function updateCellHints() {
+    document.querySelectorAll('[data-cell-hint]').forEach(hint => {
+        const index = Number(hint.dataset.cellHint);
+        const label = getCellLabel(
+            Math.floor(index / state.grid.columns),
+            index % state.grid.columns,
+            state.grid,
+            state.xAxisName || 'X',
+            state.yAxisName || 'Y',
+            state.axes
+        );
+        hint.textContent = label ? `(${label.replace('\n', ' / ')})` : '';
+    });
+}
+
+/**
+ * Change the grid size from the row and column selects
+ * Cells keep their names and colours while their row and column still exist.
+ */
+function updateGridSize() {
+    const rowsSelect = document.getElementById('gridRows');
+    const columnsSelect = document.getElementById('gridColumns');
+    const grid = normalizeGrid({
+        rows: rowsSelect ? rowsSelect.value : state.grid.rows,
+        columns: columnsSelect ? columnsSelect.value : state.grid.columns
+    });
     
-    if (titleInput) state.title = titleInput.value;
-    if (subtitleInput) state.subtitle = subtitleInput.value;
-    if (xAxisInput) state.xAxisName = xAxisInput.value;
-    if (yAxisInput) state.yAxisName = yAxisInput.value;
-    if (templateSelect) state.template = templateSelect.value;
+    state.cells = resizeCells(grid, state.cells, state.grid.columns);
+    state.grid = grid;
     
-    // Update URL hash
+    renderCellEditor();
+    updateAxisInputs();
+    updatePreview();
     updateURLHash(state);
 }
 
+/**
+ * Render name, description and colour inputs for every grid cell
+ */
+function renderCellEditor() {
+    const container = document.getElementById('cellGrid');
+    if (!container) return;
+    
+    const { rows, columns } = state.grid;
+    const template = getTemplate(state.template);
+    const isQuadrants = rows === 2 && columns === 2;
+    
+    container.style.setProperty('--cell-columns', columns);
+    container.innerHTML = '';
+    
+    state.cells.forEach((cell, index) => {
+        const row = Math.floor(index / columns);
+        const column = index % columns;
+        const name = getCellName(row, column, rows, columns);
+        const defaultColor = getCellColor(template, row, column, state.grid);
+        const placeholder = isQuadrants ? `e.g., ${QUADRANT_PLACEHOLDERS[index]}` : 'Cell name';
+        
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'quadrant-fieldset';
+        fieldset.innerHTML = `
+            <legend class="quadrant-legend">
+                ${name} <span class="quadrant-hint" data-cell-hint="${index}"></span>
+            </legend>
+            <input 
+                type="text" 
+                class="form-input" 
+                data-field="title"
+                value="${escapeXml(cell.title)}"
+                placeholder="${placeholder}"
+                maxlength="40"
+                aria-label="${name} cell name"
+            >
+            <input 
+                type="text" 
+                class="form-input form-input-small" 
+                data-field="description"
+                value="${escapeXml(cell.description)}"
+                placeholder="Optional description"
+                maxlength="120"
+                aria-label="${name} cell description"
+            >
+            <div class="cell-color">
+                <input 
+                    type="color" 
+                    class="cell-color-input" 
+                    data-field="color"
+                    value="${cell.color || defaultColor}"
+                    aria-label="${name} cell colour"
+                >
+                <button 
+                    type="button" 
+                    class="cell-color-reset"
+                    ${cell.color ? '' : 'hidden'}
+                >Use template colour</button>
+            </div>
+        `;
+        
+        const colorInput = fieldset.querySelector('[data-field="color"]');
+        const resetBtn = fieldset.querySelector('.cell-color-reset');
+        
+        const debouncedUpdate = debounce(() => {
+            updatePreview();
+            updateURLHash(state);
+        }, 300);
+        
+        fieldset.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('input', () => {
+                cell[input.dataset.field] = input.value;
+                if (input.dataset.field === 'color') {
+                    resetBtn.hidden = false;
+                }
+                debouncedUpdate();
+            });
+        });
+        
+        resetBtn.addEventListener('click', () => {
+            cell.color = '';
+            colorInput.value = defaultColor;
+            resetBtn.hidden = true;
+            updatePreview();
+            updateURLHash(state);
+        });
+        
+        container.appendChild(fieldset);
+    });
+    
+    updateCellHints();
+}
+
 /**
  * Update preview with current state
  */
@@ -319,6 +1787,24 @@ function updatePreview() {
         
         // Render to container
         renderMatrix(svg, container);
+        
+        // Keep the text alternatives in step for screen readers
+        const description = document.getElementById('matrixDescription');
+        if (description) description.textContent = describeMatrix(state);
+        container.setAttribute('aria-label', `${state.title.trim() || 'Untitled Matrix'} (matrix preview)`);
+        updateAccessibleTable(state.dataPoints, state.xAxisName, state.yAxisName, getGridLayout(state));
+        
+        // Points can be focused and operated from the keyboard; the chart is a
+        // group of them here rather than a single image as in exports
+        const chart = container.querySelector('svg');
+        if (chart) chart.setAttribute('role', 'group');
+        updatePointFocus(container);
+        
+        // Keep the zoomed view across re-renders (this also hides the tooltip,
+        // which would be left behind if its point moved)
+        applyPreviewView();
+        renderZoomOptions();
+        renderStatsPanel();
     } catch (error) {
         console.error('Failed to update preview:', error);
         container.innerHTML = '<p style="color: red; padding: 20px;">Error rendering matrix. Please check your data.</p>';
@@ -328,12 +1814,26 @@ function updatePreview() {
 /**
  * Add a new data point
  */
-function addDataPoint(label = '', x = 50, y = 50) {
+function addDataPoint(
+    label = '', 
+    x = getAxisMidpoint(state.axes.x), 
+    y = getAxisMidpoint(state.axes.y), 
+    size = null, 
+    category = ''
+) {
     const point = {
         id: generateId(),
         label: label,
         x: x,
-        y: y
+        y: y,
+        size: size,
+        category: category,
+        from: null,
+        notes: '',
+        owner: '',
+        status: '',
+        link: '',
+        shape: ''
     };
     
     state.dataPoints.push(point);
@@ -342,9 +1842,17 @@ function addDataPoint(label = '', x = 50, y = 50) {
 }
 
 /**
- * Remove a data point
+ * Remove a data point, along with its table rows
  */
 function removeDataPoint(id) {
+    const tbody = document.getElementById('dataPointsBody');
+    const row = tbody && Array.from(tbody.rows).find(r => r.dataset.pointId === id);
+    if (row) {
+        const detailsRow = row.nextElementSibling;
+        if (detailsRow && detailsRow.classList.contains('point-details-row')) detailsRow.remove();
+        row.remove();
+    }
+    
     const index = state.dataPoints.findIndex(p => p.id === id);
     if (index !== -1) {
         state.dataPoints.splice(index, 1);
@@ -364,15 +1872,61 @@ function updateDataPoint(id, field, value) {
         point.label = value;
     } else if (field === 'x' || field === 'y') {
         const numValue = parseFloat(value);
-        if (isValidNumber(numValue, 0, 100)) {
+        const axis = state.axes[field];
+        if (isValidNumber(numValue, axis.min, axis.max)) {
             point[field] = numValue;
         }
+    } else if (field === 'category') {
+        const exists = state.categories.some(category => category.name === value);
+        point.category = exists ? value : '';
+    } else if (field === 'shape') {
+        // An empty shape leaves the marker to the category (or a circle)
+        point.shape = isMarkerShape(value) ? value : '';
+    } else if (['notes', 'owner', 'status', 'link'].includes(field)) {
+        // Links are kept as typed but only shown when they are http(s) URLs
+        point[field] = value.trim();
+    } else if (field === 'size') {
+        // Size is optional; clearing the field removes the bubble size
+        const numValue = parseFloat(value);
+        if (value === '') {
+            point.size = null;
+        } else if (isValidNumber(numValue, 0, Infinity)) {
+            point.size = numValue;
+        }
     }
     
     updatePreview();
     updateURLHash(state);
 }
 
+/**
+ * Record every point's current position as its previous position
+ * Points then show a ghost marker and arrow once they are moved.
+ */
+function snapshotPositions() {
+    if (state.dataPoints.length === 0) return;
+    
+    state.dataPoints.forEach(point => {
+        point.from = { x: point.x, y: point.y };
+    });
+    
+    updatePreview();
+    updateURLHash(state);
+    showToast('📌 Current positions saved as previous');
+}
+
+/**
+ * Remove previous positions from all points
+ */
+function clearMovement() {
+    state.dataPoints.forEach(point => {
+        point.from = null;
+    });
+    
+    updatePreview();
+    updateURLHash(state);
+}
+
 /**
  * Render a data point row in the table
  */
@@ -398,9 +1952,9 @@ function renderDataPointRow(point) {
                 type="number" 
                 class="table-input" 
                 value="${point.x}" 
-                min="0" 
-                max="100" 
-                step="1"
+                min="${state.axes.x.min}" 
+                max="${state.axes.x.max}" 
+                step="any"
                 data-field="x"
             >
         </td>
@@ -409,13 +1963,43 @@ function renderDataPointRow(point) {
                 type="number" 
                 class="table-input" 
                 value="${point.y}" 
-                min="0" 
-                max="100" 
-                step="1"
+                min="${state.axes.y.min}" 
+                max="${state.axes.y.max}" 
+                step="any"
                 data-field="y"
             >
         </td>
+        <td>
+            <input 
+                type="number" 
+                class="table-input" 
+                value="${point.size != null ? point.size : ''}" 
+                min="0" 
+                step="any"
+                placeholder="—"
+                aria-label="Bubble size"
+                data-field="size"
+            >
+        </td>
+        <td>
+            <select 
+                class="table-input" 
+                aria-label="Category"
+                data-field="category"
+            >
+                ${renderCategoryOptions(point.category)}
+            </select>
+        </td>
         <td class="action-col">
+            <button 
+                type="button" 
+                class="btn-details" 
+                aria-label="Show details"
+                aria-expanded="false"
+                data-action="details"
+            >
+                📝
+            </button>
             <button 
                 type="button" 
                 class="btn-delete" 
@@ -427,8 +2011,70 @@ function renderDataPointRow(point) {
         </td>
     `;
     
+    // Optional details, edited in a row of their own below the point
+    const detailsRow = document.createElement('tr');
+    detailsRow.className = 'point-details-row';
+    detailsRow.hidden = true;
+    detailsRow.innerHTML = `
+        <td colspan="6">
+            <div class="point-details">
+                <label class="point-detail point-detail-notes">
+                    <span class="point-detail-label">Notes</span>
+                    <textarea 
+                        class="table-input" 
+                        rows="2" 
+                        maxlength="280"
+                        placeholder="Why it sits here, next steps…"
+                        data-field="notes"
+                    >${sanitizeInput(point.notes || '')}</textarea>
+                </label>
+                <label class="point-detail">
+                    <span class="point-detail-label">Owner</span>
+                    <input 
+                        type="text" 
+                        class="table-input" 
+                        value="${sanitizeInput(point.owner || '')}" 
+                        maxlength="40"
+                        data-field="owner"
+                    >
+                </label>
+                <label class="point-detail">
+                    <span class="point-detail-label">Status</span>
+                    <input 
+                        type="text" 
+                        class="table-input" 
+                        value="${sanitizeInput(point.status || '')}" 
+                        maxlength="30"
+                        list="pointStatusOptions"
+                        data-field="status"
+                    >
+                </label>
+                <label class="point-detail">
+                    <span class="point-detail-label">Link</span>
+                    <input 
+                        type="url" 
+                        class="table-input" 
+                        value="${sanitizeInput(point.link || '')}" 
+                        maxlength="300"
+                        placeholder="https://"
+                        data-field="link"
+                    >
+                </label>
+                <label class="point-detail">
+                    <span class="point-detail-label">Marker</span>
+                    <select 
+                        class="table-input" 
+                        data-field="shape"
+                    >
+                        ${renderShapeOptions(point.shape)}
+                    </select>
+                </label>
+            </div>
+        </td>
+    `;
+    
     // Add event listeners
-    const inputs = row.querySelectorAll('.table-input');
+    const inputs = [...row.querySelectorAll('.table-input'), ...detailsRow.querySelectorAll('.table-input')];
     inputs.forEach(input => {
         const field = input.dataset.field;
         
@@ -439,15 +2085,317 @@ function renderDataPointRow(point) {
         input.addEventListener('input', debouncedUpdate);
     });
     
+    const detailsBtn = row.querySelector('[data-action="details"]');
+    if (detailsBtn) {
+        detailsBtn.addEventListener('click', () => {
+            detailsRow.hidden = !detailsRow.hidden;
+            detailsBtn.setAttribute('aria-expanded', String(!detailsRow.hidden));
+            detailsBtn.setAttribute('aria-label', detailsRow.hidden ? 'Show details' : 'Hide details');
+        });
+    }
+    
     const deleteBtn = row.querySelector('[data-action="delete"]');
     if (deleteBtn) {
         deleteBtn.addEventListener('click', () => {
-            row.remove();
             removeDataPoint(point.id);
         });
     }
     
     tbody.appendChild(row);
+    tbody.appendChild(detailsRow);
+}
+
+/**
+ * Render marker shape <option> elements for a data point row
+ */
+function renderShapeOptions(selected) {
+    let options = '<option value="">Auto</option>';
+    Object.entries(MARKER_SHAPES).forEach(([shape, name]) => {
+        const isSelected = shape === selected ? ' selected' : '';
+        options += `<option value="${shape}"${isSelected}>${name}</option>`;
+    });
+    return options;
+}
+
+/**
+ * Render category <option> elements for a data point row
+ */
+function renderCategoryOptions(selected) {
+    let options = '<option value="">—</option>';
+    state.categories.forEach(category => {
+        const isSelected = category.name === selected ? ' selected' : '';
+        options += `<option value="${escapeXml(category.name)}"${isSelected}>${sanitizeInput(category.name)}</option>`;
+    });
+    return options;
+}
+
+/**
+ * Refresh category options in every data point row
+ */
+function updateCategorySelects() {
+    document.querySelectorAll('#dataPointsBody [data-field="category"]').forEach(select => {
+        const point = state.dataPoints.find(p => p.id === select.closest('tr').dataset.pointId);
+        select.innerHTML = renderCategoryOptions(point ? point.category : '');
+    });
+}
+
+/**
+ * Render category chips with their legend colours
+ */
+function renderCategoryList() {
+    const list = document.getElementById('categoryList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    state.categories.forEach(category => {
+        const item = document.createElement('li');
+        item.className = 'category-chip';
+        item.innerHTML = `
+            <span class="category-swatch" style="background: ${getPointColor(state.template, category.color)}"></span>
+            <span>${sanitizeInput(category.name)}</span>
+            <button 
+                type="button" 
+                class="category-remove" 
+                aria-label="Remove category ${escapeXml(category.name)}"
+            >&times;</button>
+        `;
+        
+        item.querySelector('.category-remove').addEventListener('click', () => {
+            removeCategory(category.name);
+        });
+        
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Add a category
+ * Each category keeps the first palette colour not already taken,
+ * so removing one category never changes the colour of the others.
+ * @param {string} name - Category name
+ * @returns {boolean} - True if the category was added
+ */
+function addCategory(name) {
+    const trimmed = (name || '').trim().substring(0, 30);
+    if (!trimmed) return false;
+    
+    if (state.categories.some(category => category.name === trimmed)) {
+        showToast('⚠️ That category already exists');
+        return false;
+    }
+    
+    let color = 0;
+    while (state.categories.some(category => category.color === color)) {
+        color++;
+    }
+    
+    state.categories.push({ name: trimmed, color });
+    renderCategoryList();
+    updateCategorySelects();
+    updatePreview();
+    updateURLHash(state);
+    return true;
+}
+
+/**
+ * Remove a category and clear it from any points that use it
+ * @param {string} name - Category name
+ */
+function removeCategory(name) {
+    state.categories = state.categories.filter(category => category.name !== name);
+    state.dataPoints.forEach(point => {
+        if (point.category === name) point.category = '';
+    });
+    
+    renderCategoryList();
+    updateCategorySelects();
+    updatePreview();
+    updateURLHash(state);
+}
+
+/**
+ * Add an annotation of a type at its default position
+ * @param {string} type - Annotation type
+ */
+function addAnnotation(type) {
+    if (state.annotations.length >= MAX_ANNOTATIONS) {
+        showToast(`⚠️ Up to ${MAX_ANNOTATIONS} annotations`);
+        return;
+    }
+    
+    const annotation = createAnnotation(type, state.axes, generateId());
+    state.annotations.push(annotation);
+    renderAnnotationEditor(annotation);
+    updatePreview();
+    updateURLHash(state);
+}
+
+/**
+ * Remove an annotation
+ * @param {string} id - Annotation id
+ */
+function removeAnnotation(id) {
+    state.annotations = state.annotations.filter(annotation => annotation.id !== id);
+    updatePreview();
+    updateURLHash(state);
+}
+
+/**
+ * Update a field of an annotation from its editor
+ * @param {string} id - Annotation id
+ * @param {string} field - Field name
+ * @param {string|boolean} value - New value
+ */
+function updateAnnotation(id, field, value) {
+    const annotation = state.annotations.find(item => item.id === id);
+    if (!annotation) return;
+    
+    if (['x1', 'x2', 'y1', 'y2'].includes(field)) {
+        const numValue = parseFloat(value);
+        const axis = state.axes[field[0]];
+        if (isValidNumber(numValue, axis.min, axis.max)) {
+            annotation[field] = numValue;
+        }
+    } else if (field === 'text') {
+        annotation.text = value.substring(0, MAX_ANNOTATION_TEXT);
+    } else if (field === 'color' || field === 'arrow') {
+        annotation[field] = value;
+    }
+    
+    updatePreview();
+    updateURLHash(state);
+}
+
+/**
+ * Render editors for all annotations
+ */
+function renderAnnotationList() {
+    const list = document.getElementById('annotationList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    state.annotations.forEach(annotation => {
+        renderAnnotationEditor(annotation);
+    });
+}
+
+/**
+ * Render the editor for an annotation: its text, positions, colour and
+ * (for lines) an arrowhead
+ * @param {Object} annotation - Annotation
+ */
+function renderAnnotationEditor(annotation) {
+    const list = document.getElementById('annotationList');
+    if (!list) return;
+    
+    const typeName = ANNOTATION_TYPES[annotation.type];
+    const defaultColor = getTemplate(state.template).axisColor;
+    const isText = annotation.type === 'text';
+    const positionNames = isText 
+        ? ['Position'] 
+        : annotation.type === 'rect' || annotation.type === 'ellipse' 
+            ? ['Corner', 'Opposite corner'] 
+            : ['From', 'To'];
+    
+    const positionInputs = positionNames.map((positionName, index) => ['x', 'y'].map(axis => {
+        const field = `${axis}${index + 1}`;
+        const { min, max } = state.axes[axis];
+        return `
+            <label class="annotation-field">
+                <span class="point-detail-label">${positionName} ${axis.toUpperCase()}</span>
+                <input 
+                    type="number" 
+                    class="form-input form-input-small" 
+                    value="${annotation[field]}" 
+                    min="${min}" 
+                    max="${max}" 
+                    step="any"
+                    data-field="${field}"
+                    data-coordinate="${axis}"
+                >
+            </label>
+        `;
+    }).join('')).join('');
+    
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'annotation-fieldset';
+    fieldset.dataset.annotationId = annotation.id;
+    fieldset.innerHTML = `
+        <legend class="quadrant-legend">${typeName}</legend>
+        <input 
+            type="text" 
+            class="form-input" 
+            data-field="text"
+            value="${escapeXml(annotation.text)}"
+            placeholder="${isText ? 'e.g., Q3 budget cut-off' : 'Optional label'}"
+            maxlength="${MAX_ANNOTATION_TEXT}"
+            aria-label="${typeName} text"
+        >
+        <div class="annotation-positions">${positionInputs}</div>
+        <div class="annotation-options">
+            <div class="cell-color">
+                <input 
+                    type="color" 
+                    class="cell-color-input" 
+                    data-field="color"
+                    value="${annotation.color || defaultColor}"
+                    aria-label="${typeName} colour"
+                >
+                <button 
+                    type="button" 
+                    class="cell-color-reset"
+                    ${annotation.color ? '' : 'hidden'}
+                >Use template colour</button>
+            </div>
+            ${annotation.type === 'line' ? `
+                <label class="axis-checkbox">
+                    <input type="checkbox" data-field="arrow" ${annotation.arrow ? 'checked' : ''}>
+                    Arrowhead
+                </label>
+            ` : ''}
+            <button 
+                type="button" 
+                class="btn-delete" 
+                aria-label="Delete ${typeName.toLowerCase()}"
+            >
+                🗑️
+            </button>
+        </div>
+    `;
+    
+    const colorInput = fieldset.querySelector('[data-field="color"]');
+    const resetBtn = fieldset.querySelector('.cell-color-reset');
+    
+    fieldset.querySelectorAll('[data-field]').forEach(input => {
+        const field = input.dataset.field;
+        
+        if (input.type === 'checkbox') {
+            input.addEventListener('change', () => updateAnnotation(annotation.id, field, input.checked));
+            return;
+        }
+        
+        const debouncedUpdate = debounce(() => {
+            updateAnnotation(annotation.id, field, input.value);
+        }, 300);
+        
+        input.addEventListener('input', () => {
+            if (field === 'color') resetBtn.hidden = false;
+            debouncedUpdate();
+        });
+    });
+    
+    resetBtn.addEventListener('click', () => {
+        colorInput.value = getTemplate(state.template).axisColor;
+        resetBtn.hidden = true;
+        updateAnnotation(annotation.id, 'color', '');
+    });
+    
+    fieldset.querySelector('.btn-delete').addEventListener('click', () => {
+        fieldset.remove();
+        removeAnnotation(annotation.id);
+    });
+    
+    list.appendChild(fieldset);
 }
 
 /**
@@ -488,8 +2436,60 @@ function loadState(data) {
     if (yAxisInput) yAxisInput.value = state.yAxisName;
     if (templateSelect) templateSelect.value = state.template;
     
-    // Render data points
+    const rowsSelect = document.getElementById('gridRows');
+    const columnsSelect = document.getElementById('gridColumns');
+    if (rowsSelect) rowsSelect.value = state.grid.rows;
+    if (columnsSelect) columnsSelect.value = state.grid.columns;
+    
+    const statsToggle = document.getElementById('statsToggle');
+    if (statsToggle) statsToggle.checked = state.showStats;
+    
+    document.querySelectorAll('[data-axis]').forEach(input => {
+        const axis = state.axes[input.dataset.axis];
+        if (input.type === 'checkbox') {
+            input.checked = Boolean(axis && axis[input.dataset.field]);
+        } else {
+            input.value = axis ? axis[input.dataset.field] : '';
+        }
+    });
+    
+    const xDividerInput = document.getElementById('xDivider');
+    const yDividerInput = document.getElementById('yDivider');
+    if (xDividerInput) xDividerInput.value = state.dividers.x;
+    if (yDividerInput) yDividerInput.value = state.dividers.y;
+    
+    const textOverflowSelect = document.getElementById('textOverflow');
+    const labelWidthInput = document.getElementById('labelWidth');
+    if (textOverflowSelect) textOverflowSelect.value = state.textLayout.overflow;
+    if (labelWidthInput) labelWidthInput.value = state.textLayout.labelWidth;
+    
+    const labelModeSelect = document.getElementById('labelMode');
+    if (labelModeSelect) labelModeSelect.value = state.textLayout.labels;
+    
+    const canvasPresetSelect = document.getElementById('canvasPreset');
+    const canvasWidthInput = document.getElementById('canvasWidth');
+    const canvasHeightInput = document.getElementById('canvasHeight');
+    if (canvasPresetSelect) canvasPresetSelect.value = state.canvas.preset;
+    if (canvasWidthInput) canvasWidthInput.value = state.canvas.width;
+    if (canvasHeightInput) canvasHeightInput.value = state.canvas.height;
+    
+    const densityToggle = document.getElementById('densityToggle');
+    const hideLabelsToggle = document.getElementById('hideLabelsToggle');
+    if (densityToggle) densityToggle.checked = state.density.enabled;
+    if (hideLabelsToggle) {
+        hideLabelsToggle.checked = state.density.hideLabels;
+        hideLabelsToggle.disabled = !state.density.enabled;
+    }
+    
+    const shapeByCategoryToggle = document.getElementById('shapeByCategoryToggle');
+    if (shapeByCategoryToggle) shapeByCategoryToggle.checked = state.shapeByCategory;
+    
+    // Render cells, categories and data points
+    renderCellEditor();
+    renderCategoryList();
     renderAllDataPoints();
+    renderAnnotationList();
+    updateAxisInputs();
     
     // Update preview
     updatePreview();
@@ -517,6 +2517,8 @@ function addDefaultDataPoints() {
     if (titleInput) titleInput.value = state.title;
     if (xAxisInput) xAxisInput.value = state.xAxisName;
     if (yAxisInput) yAxisInput.value = state.yAxisName;
+    
+    updateCellHints();
 }
 
 /**
@@ -0,0 +1,76 @@
+/**
+ * Think2x2 Annotations
+ * Text boxes, shaded regions and reference lines drawn over the matrix
+ */
+
+import { createScale, roundAxisValue } from './scales.js';
+
+/**
+ * Annotation types and their names in the editor
+ * Every annotation has two positions in axis values, {x1, y1} and {x2, y2}:
+ * - text: a text box centred on the first position (the second is unused)
+ * - rect, ellipse: a shaded region spanning both positions
+ * - line: a straight line from the first position to the second, optionally an arrow
+ * - diagonal: a line through both positions, extended to the edges of the plot
+ */
+export const ANNOTATION_TYPES = {
+    text: 'Text box',
+    rect: 'Rectangle',
+    ellipse: 'Ellipse',
+    line: 'Line / arrow',
+    diagonal: 'Diagonal line'
+};
+
+// Upper bound on annotations per matrix
+export const MAX_ANNOTATIONS = 30;
+
+// Longest annotation text
+export const MAX_ANNOTATION_TEXT = 120;
+
+// Where new annotations are placed, as fractions of the plot from its
+// bottom-left corner [x1, y1, x2, y2]
+const DEFAULT_POSITIONS = {
+    text: [0.75, 0.9, 0.75, 0.9],
+    rect: [0.05, 0.05, 0.35, 0.35],
+    ellipse: [0.6, 0.6, 0.9, 0.9],
+    line: [0.2, 0.8, 0.45, 0.6],
+    diagonal: [0, 0, 1, 1]
+};
+
+/**
+ * Check whether a value is a known annotation type
+ * @param {string} type - Annotation type
+ * @returns {boolean} - True for the types in ANNOTATION_TYPES
+ */
+export function isAnnotationType(type) {
+    return Object.keys(ANNOTATION_TYPES).includes(type);
+}
+
+/**
+ * Create an annotation at a sensible default position for the axes
+ * Positions are spread evenly along each axis as drawn, so they land in the
+ * same place on log and reversed axes.
+ * @param {string} type - Annotation type
+ * @param {Object} axes - Axis configurations {x, y}
+ * @param {string} id - Unique id
+ * @returns {Object} - Annotation {id, type, x1, y1, x2, y2, text, color, arrow}
+ */
+export function createAnnotation(type, axes, id) {
+    const [x1, y1, x2, y2] = DEFAULT_POSITIONS[type] || DEFAULT_POSITIONS.text;
+    const xScale = createScale(axes.x, 0, 1);
+    const yScale = createScale(axes.y, 0, 1);
+    const atX = t => roundAxisValue(xScale.toValue(t), axes.x);
+    const atY = t => roundAxisValue(yScale.toValue(t), axes.y);
+    
+    return {
+        id,
+        type: isAnnotationType(type) ? type : 'text',
+        x1: atX(x1),
+        y1: atY(y1),
+        x2: atX(x2),
+        y2: atY(y2),
+        text: type === 'text' ? 'Note' : '',
+        color: '',
+        arrow: type === 'line'
+    };
+}
@@ -0,0 +1,82 @@
+/**
+ * Think2x2 Canvas Sizes
+ * Canvas size presets for common destinations (slides, social posts, print)
+ * and custom sizes
+ */
+
+/**
+ * Canvas size presets in pixels
+ */
+export const CANVAS_PRESETS = {
+    square: { width: 800, height: 800 },     // 1:1
+    slides: { width: 1280, height: 720 },    // 16:9
+    linkedin: { width: 1200, height: 628 },  // 1.91:1 LinkedIn post
+    a4: { width: 794, height: 1123 },        // A4 portrait at 96 dpi
+    story: { width: 720, height: 1280 }      // 9:16 phone story
+};
+
+// Preset name for a size that does not match a preset
+export const CUSTOM_CANVAS = 'custom';
+
+/**
+ * Default canvas (the classic 800×800 square)
+ */
+export const DEFAULT_CANVAS = {
+    preset: 'square',
+    width: 800,
+    height: 800
+};
+
+// Allowed range for custom canvas sides
+export const MIN_CANVAS_SIZE = 400;
+export const MAX_CANVAS_SIZE = 2400;
+
+// Canvas side that template spacing (padding, margins, footer) is designed for
+const REFERENCE_SIZE = 800;
+
+/**
+ * Fill in missing or invalid canvas settings
+ * Presets always use their own size; custom sizes are kept within range.
+ * @param {Object} canvas - Partial canvas {preset, width, height}
+ * @returns {Object} - Complete canvas
+ */
+export function normalizeCanvas(canvas) {
+    const config = canvas || {};
+    
+    if (config.preset !== CUSTOM_CANVAS) {
+        const name = Object.keys(CANVAS_PRESETS).includes(config.preset) ? config.preset : DEFAULT_CANVAS.preset;
+        return { preset: name, width: CANVAS_PRESETS[name].width, height: CANVAS_PRESETS[name].height };
+    }
+    
+    const side = (value, fallback) => {
+        const num = parseInt(value, 10);
+        return isNaN(num) ? fallback : Math.max(MIN_CANVAS_SIZE, Math.min(MAX_CANVAS_SIZE, num));
+    };
+    
+    return {
+        preset: CUSTOM_CANVAS,
+        width: side(config.width, DEFAULT_CANVAS.width),
+        height: side(config.height, DEFAULT_CANVAS.height)
+    };
+}
+
+/**
+ * Check whether a canvas uses the default settings
+ * @param {Object} canvas - Canvas configuration
+ * @returns {boolean} - True if the canvas is the default square preset
+ */
+export function isDefaultCanvas(canvas) {
+    return normalizeCanvas(canvas).preset === DEFAULT_CANVAS.preset;
+}
+
+/**
+ * Get how much to scale template spacing for a canvas
+ * Spacing follows the shorter side, so wide and tall canvases keep margins
+ * in proportion to the space they have.
+ * @param {Object} canvas - Canvas configuration
+ * @returns {number} - Scale factor (1 for the default canvas)
+ */
+export function getCanvasScale(canvas) {
+    const { width, height } = normalizeCanvas(canvas);
+    return Math.min(width, height) / REFERENCE_SIZE;
+}
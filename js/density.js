@@ -0,0 +1,161 @@
+/**
+ * Think2x2 Point Density
+ * Kernel density estimate of where points cluster, for large point sets
+ * (e.g., hundreds of placements crowd-sourced from a survey)
+ */
+
+/**
+ * Default density settings (off, with point labels shown)
+ */
+export const DEFAULT_DENSITY = {
+    enabled: false,
+    hideLabels: false
+};
+
+// Most points kept in a matrix, and in density mode
+export const MAX_POINTS = 100;
+export const MAX_DENSITY_POINTS = 5000;
+
+// Most points given full labels over a heatmap; placing labels so they do not
+// collide slows down quickly with more, too much to redraw while dragging
+export const MAX_DENSITY_LABELS = 200;
+
+// Cells per side of the grid the density is estimated on
+const GRID_SIZE = 64;
+
+// Range of the kernel bandwidth, in units of the 0-100 space
+const MIN_BANDWIDTH = 3;
+const MAX_BANDWIDTH = 15;
+
+/**
+ * Fill in missing density settings
+ * @param {Object} density - Partial density settings {enabled, hideLabels}
+ * @returns {Object} - Complete density settings
+ */
+export function normalizeDensity(density) {
+    const config = density || {};
+    return {
+        enabled: Boolean(config.enabled),
+        hideLabels: Boolean(config.hideLabels)
+    };
+}
+
+/**
+ * Check whether density settings are the defaults
+ * @param {Object} density - Density settings
+ * @returns {boolean} - True if the settings match DEFAULT_DENSITY
+ */
+export function isDefaultDensity(density) {
+    const { enabled, hideLabels } = normalizeDensity(density);
+    return enabled === DEFAULT_DENSITY.enabled && hideLabels === DEFAULT_DENSITY.hideLabels;
+}
+
+/**
+ * Get the most points a matrix keeps with these density settings
+ * @param {Object} density - Density settings
+ * @returns {number} - Point limit
+ */
+export function getPointLimit(density) {
+    return normalizeDensity(density).enabled ? MAX_DENSITY_POINTS : MAX_POINTS;
+}
+
+/**
+ * Check whether points get full labels with these density settings
+ * Over a heatmap, labels are hidden on request, and always for sets of more
+ * than MAX_DENSITY_LABELS points. Numbered labels are cheap, so they are
+ * only hidden on request.
+ * @param {Object} density - Density settings
+ * @param {number} pointCount - Number of points drawn
+ * @returns {boolean} - True if full labels are placed
+ */
+export function showsPointLabels(density, pointCount) {
+    const { enabled, hideLabels } = normalizeDensity(density);
+    return !enabled || (!hideLabels && pointCount <= MAX_DENSITY_LABELS);
+}
+
+/**
+ * Pick a kernel bandwidth for one axis with Scott's rule
+ * @param {Array<number>} values - Positions on the axis (0-100)
+ * @returns {number} - Bandwidth in units of the 0-100 space
+ */
+function getBandwidth(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    const bandwidth = 1.06 * Math.sqrt(variance) * Math.pow(values.length, -1 / 5);
+    return Math.min(MAX_BANDWIDTH, Math.max(MIN_BANDWIDTH, bandwidth));
+}
+
+/**
+ * Build a normalised Gaussian kernel
+ * @param {number} sigma - Standard deviation in grid cells
+ * @returns {Array<number>} - Weights from -3σ to +3σ
+ */
+function gaussianKernel(sigma) {
+    const radius = Math.ceil(sigma * 3);
+    const weights = [];
+    for (let offset = -radius; offset <= radius; offset++) {
+        weights.push(Math.exp(-(offset * offset) / (2 * sigma * sigma)));
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => weight / total);
+}
+
+/**
+ * Blur a square grid along one direction with a kernel
+ * @param {Float64Array} grid - Grid values, row by row
+ * @param {Array<number>} kernel - Kernel weights
+ * @param {boolean} vertical - Blur along columns instead of rows
+ * @returns {Float64Array} - Blurred grid
+ */
+function blur(grid, kernel, vertical) {
+    const radius = (kernel.length - 1) / 2;
+    const result = new Float64Array(grid.length);
+    
+    for (let row = 0; row < GRID_SIZE; row++) {
+        for (let column = 0; column < GRID_SIZE; column++) {
+            let sum = 0;
+            for (let k = 0; k < kernel.length; k++) {
+                const r = vertical ? row + k - radius : row;
+                const c = vertical ? column : column + k - radius;
+                if (r >= 0 && r < GRID_SIZE && c >= 0 && c < GRID_SIZE) {
+                    sum += grid[r * GRID_SIZE + c] * kernel[k];
+                }
+            }
+            result[row * GRID_SIZE + column] = sum;
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Estimate point density over the 0-100 space of the plot
+ * Points are binned onto a grid, which is then smoothed with a Gaussian
+ * kernel. The cost grows with the number of points only for binning, so
+ * thousands of points stay fast.
+ * @param {Array<Object>} positions - Positions {u, v} from 0 to 100 across and up the plot
+ * @returns {Object|null} - Density {at(u, v)} scaled so the densest spot is 1,
+ *                          or null without positions
+ */
+export function estimateDensity(positions) {
+    if (positions.length === 0) return null;
+    
+    const cellSize = 100 / GRID_SIZE;
+    const toCell = value => Math.min(GRID_SIZE - 1, Math.max(0, Math.floor(value / cellSize)));
+    
+    let grid = new Float64Array(GRID_SIZE * GRID_SIZE);
+    positions.forEach(({ u, v }) => {
+        grid[toCell(v) * GRID_SIZE + toCell(u)] += 1;
+    });
+    
+    grid = blur(grid, gaussianKernel(getBandwidth(positions.map(p => p.u)) / cellSize), false);
+    grid = blur(grid, gaussianKernel(getBandwidth(positions.map(p => p.v)) / cellSize), true);
+    
+    const max = Math.max(...grid);
+    
+    return {
+        at(u, v) {
+            return max > 0 ? grid[toCell(v) * GRID_SIZE + toCell(u)] / max : 0;
+        }
+    };
+}
@@ -4,6 +4,7 @@
  */
 
 import { generateMatrix } from './matrix.js';
+import { getTemplate } from './templates.js';
 import { generateFilename, showToast } from './utils.js';
 
 /**
@@ -38,8 +39,8 @@ export async function exportAsPNG(data) {
                     // Scale context for high quality
                     ctx.scale(scale, scale);
                     
-                    // Draw white background
-                    ctx.fillStyle = '#ffffff';
+                    // Paint the template's background (e.g., dark templates)
+                    ctx.fillStyle = getTemplate(data.template).background;
                     ctx.fillRect(0, 0, img.width, img.height);
                     
                     // Draw SVG image
@@ -180,7 +181,7 @@ export async function exportAsDataURL(data, format = 'png') {
             canvas.height = img.height * 2;
             
             ctx.scale(2, 2);
-            ctx.fillStyle = '#ffffff';
+            ctx.fillStyle = getTemplate(data.template).background;
             ctx.fillRect(0, 0, img.width, img.height);
             ctx.drawImage(img, 0, 0);
             
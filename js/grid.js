@@ -0,0 +1,228 @@
+/**
+ * Think2x2 Grid Layout
+ * Splits the plot into rows × columns of cells and classifies points into them
+ */
+
+import { QUADRANT_POSITIONS } from './templates.js';
+import { createScale, getAxisMidpoint, formatAxisValue, roundAxisValue } from './scales.js';
+
+/**
+ * Default grid (the classic 2×2 matrix)
+ */
+export const DEFAULT_GRID = {
+    rows: 2,
+    columns: 2
+};
+
+// Largest number of rows or columns
+export const MAX_GRID_SIZE = 4;
+
+// Position names for rows (top to bottom) and columns (left to right) by count
+const ROW_NAMES = {
+    1: [''],
+    2: ['Top', 'Bottom'],
+    3: ['Top', 'Middle', 'Bottom']
+};
+const COLUMN_NAMES = {
+    1: [''],
+    2: ['Left', 'Right'],
+    3: ['Left', 'Centre', 'Right']
+};
+
+/**
+ * Fill in missing or out-of-range grid settings
+ * @param {Object} grid - Partial grid configuration {rows, columns}
+ * @returns {Object} - Grid configuration with 1 to MAX_GRID_SIZE rows and columns
+ */
+export function normalizeGrid(grid) {
+    const sanitizeCount = value => {
+        const count = parseInt(value, 10);
+        return isNaN(count) ? 2 : Math.max(1, Math.min(MAX_GRID_SIZE, count));
+    };
+    
+    return {
+        rows: sanitizeCount(grid && grid.rows),
+        columns: sanitizeCount(grid && grid.columns)
+    };
+}
+
+/**
+ * Check whether a grid is the classic 2×2 matrix
+ * @param {Object} grid - Grid configuration
+ * @returns {boolean} - True for 2 rows and 2 columns
+ */
+export function isDefaultGrid(grid) {
+    const { rows, columns } = normalizeGrid(grid);
+    return rows === DEFAULT_GRID.rows && columns === DEFAULT_GRID.columns;
+}
+
+/**
+ * Get the values where an axis is split into cells
+ * Two cells split at the divider; more cells split evenly along the axis as drawn.
+ * @param {Object} axis - Axis configuration
+ * @param {number} count - Number of cells along the axis
+ * @param {number} divider - Divider position used when there are two cells
+ * @returns {Array<number>} - Ascending boundary values (count - 1 of them)
+ */
+export function getCellBoundaries(axis, count, divider) {
+    if (count === 2) {
+        return [typeof divider === 'number' ? divider : getAxisMidpoint(axis)];
+    }
+    
+    // A unit scale maps fractions of the drawn axis back to values
+    const unitScale = createScale({ ...axis, reversed: false }, 0, 1);
+    const boundaries = [];
+    for (let i = 1; i < count; i++) {
+        boundaries.push(unitScale.toValue(i / count));
+    }
+    return boundaries;
+}
+
+/**
+ * Build the grid layout for matrix data
+ * @param {Object} data - Matrix data (grid, axes, dividers)
+ * @returns {Object} - Layout {rows, columns, xBoundaries, yBoundaries, axes}
+ */
+export function getGridLayout(data) {
+    const { rows, columns } = normalizeGrid(data.grid);
+    const axes = data.axes || {};
+    const dividers = data.dividers || {};
+    
+    return {
+        rows,
+        columns,
+        xBoundaries: getCellBoundaries(axes.x, columns, dividers.x),
+        yBoundaries: getCellBoundaries(axes.y, rows, dividers.y),
+        axes
+    };
+}
+
+/**
+ * Determine which cell a point belongs to
+ * Cells are numbered by where they are drawn (row 0 at the top, column 0 on
+ * the left), so reversed axes swap sides. A value on a boundary belongs to the
+ * higher cell, matching the classic quadrant rule.
+ * @param {number} x - X value
+ * @param {number} y - Y value
+ * @param {Object} layout - Grid layout from getGridLayout
+ * @returns {Object} - Cell {row, column, index} with index in reading order
+ */
+export function getCell(x, y, layout) {
+    const { rows, columns, xBoundaries, yBoundaries, axes } = layout;
+    const xLevel = xBoundaries.filter(boundary => x >= boundary).length;
+    const yLevel = yBoundaries.filter(boundary => y >= boundary).length;
+    
+    const column = axes.x && axes.x.reversed ? columns - 1 - xLevel : xLevel;
+    const row = axes.y && axes.y.reversed ? yLevel : rows - 1 - yLevel;
+    
+    return { row, column, index: row * columns + column };
+}
+
+/**
+ * Count the points in each cell and find their mean position
+ * Points without a label or a position are left out, as they are not drawn.
+ * @param {Array<Object>} dataPoints - Data points
+ * @param {Object} layout - Grid layout from getGridLayout
+ * @returns {Array<Object>} - Stats {row, column, index, count, share, meanX, meanY}
+ *                            per cell in reading order; means are null for empty cells
+ */
+export function getCellStats(dataPoints, layout) {
+    const { rows, columns } = layout;
+    const stats = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            stats.push({ row, column, index: row * columns + column, count: 0, share: 0, meanX: null, meanY: null });
+        }
+    }
+    
+    const points = (dataPoints || []).filter(point => 
+        point.label && typeof point.x === 'number' && typeof point.y === 'number');
+    const sums = stats.map(() => ({ x: 0, y: 0 }));
+    points.forEach(point => {
+        const index = getCell(point.x, point.y, layout).index;
+        stats[index].count++;
+        sums[index].x += point.x;
+        sums[index].y += point.y;
+    });
+    
+    stats.forEach((cell, index) => {
+        if (cell.count === 0) return;
+        cell.share = cell.count / points.length;
+        cell.meanX = sums[index].x / cell.count;
+        cell.meanY = sums[index].y / cell.count;
+    });
+    
+    return stats;
+}
+
+/**
+ * Format cell stats for display
+ * Means use the axis units and precision (e.g., $1.2M); empty cells have none.
+ * @param {Object} stat - Cell stats from getCellStats
+ * @param {Object} axes - Axis configurations {x, y}
+ * @returns {Object} - Text {count, share, meanX, meanY}
+ */
+export function formatCellStats(stat, axes = {}) {
+    const formatMean = (value, axis) => value === null ? '—' : formatAxisValue(roundAxisValue(value, axis), axis);
+    return {
+        count: `${stat.count} ${stat.count === 1 ? 'item' : 'items'}`,
+        share: `${Math.round(stat.share * 100)}%`,
+        meanX: formatMean(stat.meanX, axes.x),
+        meanY: formatMean(stat.meanY, axes.y)
+    };
+}
+
+/**
+ * Get the position name of a cell (e.g., "Top Right", "Middle Left")
+ * Names match the classic quadrant names on a 2×2 grid.
+ * @param {number} row - Row index from the top
+ * @param {number} column - Column index from the left
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @returns {string} - Cell name
+ */
+export function getCellName(row, column, rows, columns) {
+    if (!ROW_NAMES[rows] || !COLUMN_NAMES[columns]) {
+        return `Row ${row + 1}, Column ${column + 1}`;
+    }
+    
+    const rowName = ROW_NAMES[rows][row];
+    const columnName = COLUMN_NAMES[columns][column];
+    if (rowName === 'Middle' && columnName === 'Centre') return 'Centre';
+    return [rowName, columnName].filter(Boolean).join(' ') || 'Whole Grid';
+}
+
+/**
+ * Create empty cell settings for a grid, keeping existing cells by position
+ * @param {Object} grid - Grid configuration
+ * @param {Array<Object>} previous - Existing cells in reading order
+ * @param {number} previousColumns - Column count of the existing cells
+ * @returns {Array<Object>} - Cells {title, description, color} in reading order
+ */
+export function resizeCells(grid, previous = [], previousColumns = grid.columns) {
+    const { rows, columns } = normalizeGrid(grid);
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const existing = column < previousColumns ? previous[row * previousColumns + column] : null;
+            cells.push(existing ? { ...existing } : { title: '', description: '', color: '' });
+        }
+    }
+    return cells;
+}
+
+/**
+ * Convert legacy quadrant names keyed by position into 2×2 cells
+ * @param {Object} quadrants - Quadrant names {topLeft: {title, description}, ...}
+ * @returns {Array<Object>} - Cells in reading order
+ */
+export function quadrantsToCells(quadrants) {
+    return QUADRANT_POSITIONS.map(position => {
+        const quadrant = (quadrants && quadrants[position]) || {};
+        return {
+            title: quadrant.title || '',
+            description: quadrant.description || '',
+            color: ''
+        };
+    });
+}
@@ -0,0 +1,163 @@
+/**
+ * Think2x2 Label Placement
+ * Positions data point labels to avoid collisions
+ */
+
+import { measureLines, LINE_HEIGHT } from './text.js';
+
+// Candidate directions around a point, in order of preference
+const DIRECTIONS = [
+    { name: 'above', dx: 0, dy: -1 },
+    { name: 'below', dx: 0, dy: 1 },
+    { name: 'right', dx: 1, dy: 0 },
+    { name: 'left', dx: -1, dy: 0 },
+    { name: 'aboveRight', dx: 1, dy: -1 },
+    { name: 'aboveLeft', dx: -1, dy: -1 },
+    { name: 'belowRight', dx: 1, dy: 1 },
+    { name: 'belowLeft', dx: -1, dy: 1 }
+];
+
+// Gap between point edge and label box for each ring; rings past the first get leader lines
+const RING_GAPS = [4, 22, 44, 70, 100, 140];
+
+// Cost weights (collision costs are overlap areas in px²)
+const LABEL_OVERLAP_WEIGHT = 10;
+const POINT_OVERLAP_WEIGHT = 6;
+const OUT_OF_BOUNDS_WEIGHT = 10;
+const RING_PENALTY = 40;
+const DIRECTION_PENALTY = 2;
+
+// Distance within which two points count as neighbours when ordering placement
+const NEIGHBOUR_DISTANCE = 60;
+
+/**
+ * Calculate overlapping area of two boxes
+ */
+function overlapArea(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Calculate area of a box lying outside the bounds
+ */
+function outOfBoundsArea(box, bounds) {
+    return box.width * box.height - overlapArea(box, bounds);
+}
+
+/**
+ * Build the label box for a point in a given direction and ring
+ */
+function candidateBox(point, size, direction, gap) {
+    // Diagonal candidates sit on the circle at 45°
+    const reach = (point.radius + gap) * (direction.dx && direction.dy ? Math.SQRT1_2 : 1);
+    const anchorX = point.x + direction.dx * reach;
+    const anchorY = point.y + direction.dy * reach;
+    
+    return {
+        x: anchorX - size.width * (1 - direction.dx) / 2,
+        y: anchorY - size.height * (1 - direction.dy) / 2,
+        width: size.width,
+        height: size.height
+    };
+}
+
+/**
+ * Build a leader line from the point edge to the closest point on its label box
+ */
+function leaderLine(point, box) {
+    const endX = Math.min(Math.max(point.x, box.x), box.x + box.width);
+    const endY = Math.min(Math.max(point.y, box.y), box.y + box.height);
+    const distance = Math.hypot(endX - point.x, endY - point.y) || 1;
+    
+    return {
+        x1: point.x + (endX - point.x) / distance * point.radius,
+        y1: point.y + (endY - point.y) / distance * point.radius,
+        x2: endX,
+        y2: endY
+    };
+}
+
+/**
+ * Place labels for a set of points, avoiding overlaps with other labels and points
+ * Tries each direction at increasing distances and falls back to offset labels
+ * with leader lines when no position close to the point is free.
+ * @param {Array<Object>} points - Points {x, y, radius, label} in SVG coordinates, with
+ *                                 optional label lines from fitText
+ * @param {Object} options - Placement options
+ * @param {number} options.fontSize - Label font size
+ * @param {string|number} options.fontWeight - Label font weight
+ * @param {Object} options.bounds - Area labels must stay within {x, y, width, height}
+ * @param {Array<Object>} options.obstacles - Extra boxes labels should avoid {x, y, width, height}
+ * @returns {Array<Object>} - Placements {box, textX, textY, leader} in input order
+ */
+export function placeLabels(points, options) {
+    const { fontSize, fontWeight = 500, bounds, obstacles = [] } = options;
+    const paddingX = 4;
+    const paddingY = 4;
+    
+    const sizes = points.map(point => {
+        const lines = point.lines || [point.label];
+        return {
+            width: measureLines(lines, fontSize, fontWeight) + paddingX * 2,
+            height: fontSize + (lines.length - 1) * fontSize * LINE_HEIGHT + paddingY
+        };
+    });
+    
+    const pointBoxes = points.map(point => ({
+        x: point.x - point.radius,
+        y: point.y - point.radius,
+        width: point.radius * 2,
+        height: point.radius * 2
+    })).concat(obstacles);
+    
+    // Place labels of the most crowded points first, while they still have room
+    const neighbourCounts = points.map(point => points.filter(other =>
+        other !== point && Math.hypot(other.x - point.x, other.y - point.y) < NEIGHBOUR_DISTANCE
+    ).length);
+    const order = points
+        .map((point, index) => index)
+        .sort((a, b) => neighbourCounts[b] - neighbourCounts[a] || a - b);
+    
+    const placedBoxes = [];
+    const placements = new Array(points.length);
+    
+    order.forEach(index => {
+        const point = points[index];
+        let best = null;
+        
+        RING_GAPS.forEach((gap, ring) => {
+            DIRECTIONS.forEach((direction, directionIndex) => {
+                const box = candidateBox(point, sizes[index], direction, gap);
+                
+                let cost = ring * RING_PENALTY + directionIndex * DIRECTION_PENALTY;
+                placedBoxes.forEach(placed => {
+                    cost += overlapArea(box, placed) * LABEL_OVERLAP_WEIGHT;
+                });
+                pointBoxes.forEach((pointBox, pointIndex) => {
+                    if (pointIndex !== index) {
+                        cost += overlapArea(box, pointBox) * POINT_OVERLAP_WEIGHT;
+                    }
+                });
+                if (bounds) {
+                    cost += outOfBoundsArea(box, bounds) * OUT_OF_BOUNDS_WEIGHT;
+                }
+                
+                if (!best || cost < best.cost) {
+                    best = { box, ring, cost };
+                }
+            });
+        });
+        
+        placedBoxes.push(best.box);
+        placements[index] = {
+            box: best.box,
+            textX: best.box.x + best.box.width / 2,
+            textY: best.box.y + fontSize,
+            leader: best.ring > 0 ? leaderLine(point, best.box) : null
+        };
+    });
+    
+    return placements;
+}
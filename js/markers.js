@@ -0,0 +1,167 @@
+/**
+ * Think2x2 Marker Shapes
+ * Point marker shapes, so points stay distinguishable without colour
+ * (e.g., grayscale prints, colour-blind readers)
+ */
+
+/**
+ * Marker shapes and their names in the editor
+ */
+export const MARKER_SHAPES = {
+    circle: 'Circle',
+    square: 'Square',
+    triangle: 'Triangle',
+    diamond: 'Diamond',
+    star: 'Star',
+    cross: 'Cross'
+};
+
+// Shapes in the order categories take them
+const SHAPE_ORDER = Object.keys(MARKER_SHAPES);
+
+// Share of the marker radius left free inside each shape (for a number)
+const SHAPE_INSETS = {
+    circle: 1,
+    square: 0.9,
+    triangle: 0.55,
+    diamond: 0.65,
+    star: 0.5,
+    cross: 0.45
+};
+
+/**
+ * Check whether a value is a known marker shape
+ * @param {string} shape - Marker shape
+ * @returns {boolean} - True for the shapes in MARKER_SHAPES
+ */
+export function isMarkerShape(shape) {
+    return SHAPE_ORDER.includes(shape);
+}
+
+/**
+ * Get the marker shape a point is drawn with
+ * A shape chosen for the point wins. Otherwise, with shapes by category,
+ * each category takes the shape matching its palette slot, so shapes stay
+ * stable as categories come and go like their colours do. Everything else
+ * is a circle.
+ * @param {Object} point - Data point
+ * @param {Object|null} category - Category {name, color} of the point, if any
+ * @param {boolean} byCategory - Whether categories pick shapes
+ * @returns {string} - Marker shape
+ */
+export function getMarkerShape(point, category, byCategory) {
+    if (isMarkerShape(point.shape)) return point.shape;
+    if (byCategory && category) return getCategoryShape(category);
+    return 'circle';
+}
+
+/**
+ * Get the marker shape of a category when categories pick shapes
+ * @param {Object} category - Category {name, color}
+ * @returns {string} - Marker shape
+ */
+export function getCategoryShape(category) {
+    return SHAPE_ORDER[category.color % SHAPE_ORDER.length];
+}
+
+/**
+ * Get the radius of the space free inside a marker, e.g. to fit a number
+ * @param {string} shape - Marker shape
+ * @param {number} radius - Marker radius
+ * @returns {number} - Inner radius
+ */
+export function getMarkerInnerRadius(shape, radius) {
+    return radius * (SHAPE_INSETS[shape] || 1);
+}
+
+/**
+ * Round a coordinate for compact path data
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build a closed path through a list of points
+ * @param {Array<Array<number>>} points - Corners [x, y]
+ * @returns {string} - Path data
+ */
+function polygonPath(points) {
+    return points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'} ${round(x)} ${round(y)}`).join(' ') + ' Z';
+}
+
+/**
+ * Get the path data of a marker shape
+ * Shapes are sized to look as heavy as a circle of the same radius, so a
+ * bubble size reads the same whatever its shape.
+ * @param {string} shape - Marker shape (not circle)
+ * @param {number} x - Centre X
+ * @param {number} y - Centre Y
+ * @param {number} r - Marker radius
+ * @returns {string} - Path data
+ */
+function getShapePath(shape, x, y, r) {
+    if (shape === 'square') {
+        const half = r * 0.9;
+        return polygonPath([[x - half, y - half], [x + half, y - half], [x + half, y + half], [x - half, y + half]]);
+    }
+    
+    if (shape === 'triangle') {
+        // Pointing up, centred on its centroid
+        const outer = r * 1.3;
+        return polygonPath([
+            [x, y - outer],
+            [x + outer * Math.sin(Math.PI / 3), y + outer / 2],
+            [x - outer * Math.sin(Math.PI / 3), y + outer / 2]
+        ]);
+    }
+    
+    if (shape === 'diamond') {
+        const outer = r * 1.25;
+        return polygonPath([[x, y - outer], [x + outer, y], [x, y + outer], [x - outer, y]]);
+    }
+    
+    if (shape === 'star') {
+        // Five points, alternating outer and inner corners from the top
+        const outer = r * 1.35;
+        const inner = outer * 0.5;
+        return polygonPath(Array.from({ length: 10 }, (_, index) => {
+            const angle = -Math.PI / 2 + index * Math.PI / 5;
+            const distance = index % 2 === 0 ? outer : inner;
+            return [x + Math.cos(angle) * distance, y + Math.sin(angle) * distance];
+        }));
+    }
+    
+    // Cross: a plus sign with thick arms
+    const arm = r * 1.15;
+    const half = r * 0.42;
+    return polygonPath([
+        [x - half, y - arm], [x + half, y - arm], [x + half, y - half], [x + arm, y - half],
+        [x + arm, y + half], [x + half, y + half], [x + half, y + arm], [x - half, y + arm],
+        [x - half, y + half], [x - arm, y + half], [x - arm, y - half], [x - half, y - half]
+    ]);
+}
+
+/**
+ * Render a marker as an SVG element
+ * Circles stay <circle> elements; other shapes are <path>s, which take the
+ * same fill, stroke and filter attributes.
+ * @param {string} shape - Marker shape
+ * @param {number} x - Centre X
+ * @param {number} y - Centre Y
+ * @param {number} radius - Marker radius
+ * @param {string} attributes - Other attributes (class, fill, stroke, ...)
+ * @param {string} content - Child elements (e.g., <title>), if any
+ * @returns {string} - SVG element
+ */
+export function renderMarker(shape, x, y, radius, attributes = '', content = '') {
+    const isCircle = !isMarkerShape(shape) || shape === 'circle';
+    const tag = isCircle ? 'circle' : 'path';
+    const geometry = isCircle
+        ? `cx="${x}" cy="${y}" r="${radius}"`
+        : `d="${getShapePath(shape, x, y, radius)}"`;
+    
+    return content
+        ? `<${tag} ${geometry} ${attributes}>${content}</${tag}>`
+        : `<${tag} ${geometry} ${attributes} />`;
+}
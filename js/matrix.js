@@ -3,38 +3,97 @@
  * Handles SVG generation and matrix visualization
  */
 
-import { sanitizeInput, escapeXml, getQuadrant } from './utils.js';
+import { escapeXml, isSafeUrl, getContrastColor } from './utils.js';
 import { 
     getTemplate, 
     getPointColor, 
-    getQuadrantLabel, 
+    getCellColor,
+    getDensityColor,
     calculateDimensions,
-    generateSVGFilters 
+    generateSVGFilters
 } from './templates.js';
+import { placeLabels } from './labels.js';
+import { renderSVG } from './renderer.js';
+import { getMarkerShape, getCategoryShape, getMarkerInnerRadius, renderMarker } from './markers.js';
+import { 
+    LINE_HEIGHT, 
+    measureTextWidth, 
+    measureLines, 
+    normalizeTextLayout, 
+    fitText, 
+    renderTextLines 
+} from './text.js';
+import { createScale } from './scales.js';
+import { normalizeDensity, estimateDensity, showsPointLabels } from './density.js';
+import { getGridLayout, getCell, getCellName, getCellStats, formatCellStats, quadrantsToCells } from './grid.js';
+
+// Default names of the classic quadrants, in reading order
+const QUADRANT_NAMES = ['Q2', 'Q1', 'Q3', 'Q4'];
+
+// Hexagons across the plot in the density heatmap
+const DENSITY_HEX_COLUMNS = 32;
+
+// Colour bands of the density heatmap, and the density below which it stays clear
+const DENSITY_BANDS = 8;
+const DENSITY_THRESHOLD = 0.05;
+
+// Radius of points without a bubble size in density mode
+const DENSITY_POINT_RADIUS = 3;
+
+// Smallest space inside a marker that fits its number; smaller markers get it beside them
+const NUMBER_INSIDE_RADIUS = 7;
+
+// Narrowest column of the point key, and the gap between columns
+const KEY_MIN_COLUMN_WIDTH = 200;
+const KEY_COLUMN_GAP = 24;
+
+// Most items named in a matrix description; larger sets are counted per cell
+const MAX_DESCRIBED_ITEMS = 100;
+
+// Rows of each accessible table by point id, with the values they show, so
+// only rows whose point changed are rewritten on each render
+const accessibleRows = new WeakMap();
+
+// Names of the bands along an axis split into 2 or 3 cells, low to high
+const AXIS_LEVEL_NAMES = {
+    2: ['Low', 'High'],
+    3: ['Low', 'Mid', 'High']
+};
 
 /**
  * Generate complete SVG matrix visualization
- * @param {Object} data - Matrix data (title, subtitle, axes, points, template)
+ * @param {Object} data - Matrix data (title, subtitle, axes, grid, cells, points, annotations,
+ *                        template, canvas size, and optionally a view {x, y, width, height}
+ *                        to crop to)
  * @param {boolean} includeFooter - Whether to include footer for export
  * @returns {string} - Complete SVG markup
  */
 export function generateMatrix(data, includeFooter = false) {
-    const template = getTemplate(data.template || 'modern');
-    const dims = calculateDimensions(template, includeFooter);
+    // The footer takes space from the plot, so a cropped export (e.g., of a
+    // zoomed preview) leaves it out to frame the same part as the preview
+    const showFooter = includeFooter && !data.view;
+    const { template, sizeScale, categoryLegend, pointKey, dims, plotArea, textLayout, titleLines, subtitleLines } = 
+        layoutMatrix(data, showFooter);
     
     // Sanitize text inputs
     const title = escapeXml(data.title || 'Untitled Matrix');
-    const subtitle = data.subtitle ? escapeXml(data.subtitle) : '';
-    const xAxisName = escapeXml(data.xAxisName || 'X Axis');
-    const yAxisName = escapeXml(data.yAxisName || 'Y Axis');
+    const xAxisName = data.xAxisName || 'X Axis';
+    const yAxisName = data.yAxisName || 'Y Axis';
+    
+    // A view crops the canvas (e.g., exporting a zoomed preview), keeping its width
+    const view = data.view || { x: 0, y: 0, width: dims.width, height: dims.height };
+    const height = Math.round(dims.width * view.height / view.width);
     
-    // Build SVG
+    // Build SVG, named by its title and described in words for screen readers
     let svg = `<svg xmlns="http://www.w3.org/2000/svg" 
         width="${dims.width}" 
-        height="${dims.height}" 
-        viewBox="0 0 ${dims.width} ${dims.height}"
+        height="${height}" 
+        viewBox="${view.x} ${view.y} ${view.width} ${view.height}"
         role="img"
-        aria-label="${title}">`;
+        aria-labelledby="matrixSvgTitle"
+        aria-describedby="matrixSvgDesc">`;
+    svg += `<title id="matrixSvgTitle">${title}</title>`;
+    svg += `<desc id="matrixSvgDesc">${escapeXml(describeMatrix(data))}</desc>`;
     
     // Add filters
     svg += generateSVGFilters(template);
@@ -43,18 +102,17 @@ export function generateMatrix(data, includeFooter = false) {
     svg += generateBackground(template, dims);
     
     // Title and subtitle
-    svg += generateTitle(title, subtitle, template, dims);
+    svg += generateTitle(titleLines, subtitleLines, template, dims);
     
-    // Calculate plot area
-    const plotArea = {
-        x: dims.padding,
-        y: dims.padding + (subtitle ? template.titleMargin * 3 : template.titleMargin * 2),
-        width: dims.plotWidth,
-        height: dims.plotHeight
-    };
+    // Draw cells, with each cell's point count and mean position if shown
+    const cellStats = data.showStats ? getCellStats(data.dataPoints, getGridLayout(data)) : null;
+    svg += generateCells(template, plotArea, data.cells || quadrantsToCells(data.quadrants), cellStats, data.axes);
     
-    // Draw quadrants
-    svg += generateQuadrants(template, plotArea, xAxisName, yAxisName);
+    // Draw the density heatmap over the cells, beneath the grid and points
+    const density = normalizeDensity(data.density);
+    if (density.enabled && data.dataPoints && data.dataPoints.length > 0) {
+        svg += generateDensity(data.dataPoints, template, plotArea);
+    }
     
     // Draw grid
     if (template.showGrid) {
@@ -62,15 +120,37 @@ export function generateMatrix(data, includeFooter = false) {
     }
     
     // Draw axes
-    svg += generateAxes(template, plotArea, xAxisName, yAxisName);
+    svg += generateAxes(template, plotArea, xAxisName, yAxisName, textLayout);
     
-    // Draw data points
+    // Draw annotations between the cells and the data points
+    if (data.annotations && data.annotations.length > 0) {
+        svg += generateAnnotations(data.annotations, template, plotArea, textLayout);
+    }
+    
+    // Draw data points (exports describe each point for native tooltips;
+    // the preview shows its own)
     if (data.dataPoints && data.dataPoints.length > 0) {
-        svg += generateDataPoints(data.dataPoints, template, plotArea, data.template);
+        svg += generateDataPoints(data.dataPoints, template, plotArea, data.template, dims, sizeScale, data.categories, 
+            textLayout, includeFooter, density, data.shapeByCategory);
+    }
+    
+    // Draw legends, stacked below the plot
+    let legendY = dims.legendY;
+    if (categoryLegend) {
+        svg += generateCategoryLegend(categoryLegend, template, dims, legendY);
+        legendY += categoryLegend.height;
+    }
+    if (sizeScale) {
+        svg += generateSizeLegend(sizeScale, template, dims, legendY);
+    }
+    
+    // Numbered labels are spelled out in a key below the legends
+    if (pointKey) {
+        svg += generatePointKey(pointKey, template, dims);
     }
     
     // Add footer if exporting
-    if (includeFooter) {
+    if (showFooter) {
         svg += generateFooter(template, dims);
     }
     
@@ -79,6 +159,100 @@ export function generateMatrix(data, includeFooter = false) {
     return svg;
 }
 
+/**
+ * Lay out the canvas, legends and plot area for matrix data
+ * @param {Object} data - Matrix data
+ * @param {boolean} includeFooter - Whether the canvas includes the export footer
+ * @returns {Object} - Layout {template, sizeScale, categoryLegend, pointKey, dims,
+ *                     plotArea, textLayout, titleLines, subtitleLines}
+ */
+function layoutMatrix(data, includeFooter) {
+    const template = getTemplate(data.template || 'modern');
+    const sizeScale = createSizeScale(data.dataPoints, template);
+    
+    // Lay out legends first so the plot can make room for them below it
+    const baseDims = calculateDimensions(template, includeFooter, 0, 0, data.canvas);
+    const categoryLegend = layoutCategoryLegend(
+        getCategoryLegendItems(data.dataPoints, data.categories, data.template, data.shapeByCategory),
+        template,
+        baseDims.width - baseDims.padding * 2
+    );
+    const legendHeight = (categoryLegend ? categoryLegend.height : 0) + 
+        (sizeScale ? getSizeLegendHeight(template) : 0);
+    
+    // Fit the title and subtitle to the canvas; extra lines push the plot down
+    const textLayout = normalizeTextLayout(data.textLayout);
+    const titleOptions = {
+        maxWidth: baseDims.width - baseDims.padding * 2,
+        maxLines: 2,
+        overflow: textLayout.overflow
+    };
+    const titleLines = fitText(data.title || 'Untitled Matrix', {
+        ...titleOptions,
+        fontSize: template.titleFontSize,
+        fontWeight: 700,
+        fontFamily: 'Poppins, sans-serif'
+    });
+    const subtitleLines = data.subtitle 
+        ? fitText(data.subtitle, { ...titleOptions, fontSize: template.subtitleFontSize, fontWeight: 400 }) 
+        : [];
+    const titleHeight = (titleLines.length - 1) * template.titleFontSize * LINE_HEIGHT + 
+        Math.max(0, subtitleLines.length - 1) * template.subtitleFontSize * LINE_HEIGHT;
+    
+    // Numbered labels get a key panel, which grows the canvas rather than
+    // squeezing the plot
+    const pointKey = usesNumberedLabels(textLayout, data.density) 
+        ? layoutPointKey(data, template, textLayout, baseDims.width - baseDims.padding * 2) 
+        : null;
+    
+    const dims = calculateDimensions(template, includeFooter, legendHeight, titleHeight, data.canvas, 
+        pointKey ? pointKey.height : 0);
+    
+    // Calculate plot area
+    const plotArea = {
+        x: dims.padding,
+        y: dims.padding + dims.titleHeight + 
+            (data.subtitle ? dims.titleMargin * 3 : dims.titleMargin * 2),
+        width: dims.plotWidth,
+        height: dims.plotHeight
+    };
+    
+    // Axis scales (invert Y for SVG coordinates)
+    const axes = data.axes || {};
+    plotArea.xScale = createScale(axes.x, plotArea.x, plotArea.x + plotArea.width);
+    plotArea.yScale = createScale(axes.y, plotArea.y + plotArea.height, plotArea.y);
+    
+    // Cell edges in drawing order (left to right, top to bottom)
+    const layout = getGridLayout(data);
+    const toEdges = (boundaries, scale, start, end) => [
+        start,
+        ...boundaries.map(value => scale.toPixel(value)).sort((a, b) => a - b),
+        end
+    ];
+    plotArea.columnEdges = toEdges(layout.xBoundaries, plotArea.xScale, plotArea.x, plotArea.x + plotArea.width);
+    plotArea.rowEdges = toEdges(layout.yBoundaries, plotArea.yScale, plotArea.y, plotArea.y + plotArea.height);
+    
+    // Axes cross at the dividers of a two-way split, otherwise they run along the edges
+    plotArea.yAxisOnDivider = layout.columns === 2;
+    plotArea.xAxisOnDivider = layout.rows === 2;
+    plotArea.midX = plotArea.yAxisOnDivider ? plotArea.columnEdges[1] : plotArea.x;
+    plotArea.midY = plotArea.xAxisOnDivider ? plotArea.rowEdges[1] : plotArea.y + plotArea.height;
+    
+    return { template, sizeScale, categoryLegend, pointKey, dims, plotArea, textLayout, titleLines, subtitleLines };
+}
+
+/**
+ * Get the plot area of a rendered matrix
+ * The scales map between values and SVG user units in both directions, so
+ * positions in the preview can be turned back into point values.
+ * @param {Object} data - Matrix data
+ * @param {boolean} includeFooter - Whether the canvas includes the export footer
+ * @returns {Object} - Plot area {x, y, width, height, xScale, yScale, ...}
+ */
+export function getPlotArea(data, includeFooter = false) {
+    return layoutMatrix(data, includeFooter).plotArea;
+}
+
 /**
  * Generate SVG background
  */
@@ -89,134 +263,186 @@ function generateBackground(template, dims) {
 
 /**
  * Generate title and subtitle
+ * @param {Array<string>} titleLines - Title lines from fitText
+ * @param {Array<string>} subtitleLines - Subtitle lines from fitText (empty for none)
  */
-function generateTitle(title, subtitle, template, dims) {
-    let titleSvg = `<text x="${dims.width / 2}" y="${dims.padding}" 
+function generateTitle(titleLines, subtitleLines, template, dims) {
+    const x = dims.width / 2;
+    let titleSvg = `<text x="${x}" y="${dims.padding}" 
         text-anchor="middle" 
         font-family="Poppins, sans-serif" 
         font-size="${template.titleFontSize}" 
         font-weight="700"
-        fill="${template.titleColor}">${title}</text>`;
+        fill="${template.titleColor}">${renderTextLines(titleLines, x, template.titleFontSize)}</text>`;
     
-    if (subtitle) {
-        titleSvg += `<text x="${dims.width / 2}" y="${dims.padding + template.titleMargin + 10}" 
+    if (subtitleLines.length > 0) {
+        // The subtitle moves down with each extra title line
+        const y = dims.padding + (titleLines.length - 1) * template.titleFontSize * LINE_HEIGHT + 
+            dims.titleMargin + 10;
+        titleSvg += `<text x="${x}" y="${y}" 
             text-anchor="middle" 
             font-family="Inter, sans-serif" 
             font-size="${template.subtitleFontSize}" 
             font-weight="400"
             fill="${template.textColor}"
-            opacity="0.8">${subtitle}</text>`;
+            opacity="0.8">${renderTextLines(subtitleLines, x, template.subtitleFontSize)}</text>`;
     }
     
     return titleSvg;
 }
 
 /**
- * Generate quadrant backgrounds and labels
+ * Generate cell backgrounds and labels
+ * On a 2×2 grid the cells are the classic quadrants, labelled Q1–Q4 by default.
+ * Cell stats, when given, sit in the same corner as the label, on its inner side.
+ * @param {Array<Object>|null} stats - Cell stats from getCellStats, or null to hide them
+ * @param {Object} axes - Axis configurations {x, y} (for the units of the means)
  */
-function generateQuadrants(template, plotArea, xAxisName, yAxisName) {
-    const midX = plotArea.x + plotArea.width / 2;
-    const midY = plotArea.y + plotArea.height / 2;
-    const halfWidth = plotArea.width / 2;
-    const halfHeight = plotArea.height / 2;
+function generateCells(template, plotArea, cells, stats = null, axes = {}) {
+    const { rowEdges, columnEdges } = plotArea;
+    const grid = { rows: rowEdges.length - 1, columns: columnEdges.length - 1 };
+    const isQuadrants = grid.rows === 2 && grid.columns === 2;
     
     const opacity = template.quadrantOpacity || 0.2;
     
     let svg = '';
     
-    // Top Left Quadrant (Q2)
-    svg += `<rect x="${plotArea.x}" y="${plotArea.y}" 
-        width="${halfWidth}" height="${halfHeight}" 
-        fill="${template.quadrants.topLeft}" 
-        opacity="${opacity}" />`;
-    
-    // Top Right Quadrant (Q1)
-    svg += `<rect x="${midX}" y="${plotArea.y}" 
-        width="${halfWidth}" height="${halfHeight}" 
-        fill="${template.quadrants.topRight}" 
-        opacity="${opacity}" />`;
-    
-    // Bottom Left Quadrant (Q3)
-    svg += `<rect x="${plotArea.x}" y="${midY}" 
-        width="${halfWidth}" height="${halfHeight}" 
-        fill="${template.quadrants.bottomLeft}" 
-        opacity="${opacity}" />`;
-    
-    // Bottom Right Quadrant (Q4)
-    svg += `<rect x="${midX}" y="${midY}" 
-        width="${halfWidth}" height="${halfHeight}" 
-        fill="${template.quadrants.bottomRight}" 
-        opacity="${opacity}" />`;
-    
-    // Quadrant labels (if enabled)
-    if (template.showQuadrantLabels) {
-        const labelOpacity = template.quadrantLabelOpacity || 0.5;
-        const fontSize = template.labelFontSize;
-        
-        // Q2 - Top Left
-        svg += generateQuadrantLabel(
-            'Q2',
-            plotArea.x + 20,
-            plotArea.y + 20,
-            template,
-            labelOpacity,
-            fontSize - 2,
-            true
-        );
-        
-        // Q1 - Top Right
-        svg += generateQuadrantLabel(
-            'Q1',
-            midX + halfWidth - 20,
-            plotArea.y + 20,
-            template,
-            labelOpacity,
-            fontSize - 2,
-            true
-        );
-        
-        // Q3 - Bottom Left
-        svg += generateQuadrantLabel(
-            'Q3',
-            plotArea.x + 20,
-            midY + halfHeight - 10,
-            template,
-            labelOpacity,
-            fontSize - 2,
-            true
-        );
-        
-        // Q4 - Bottom Right
-        svg += generateQuadrantLabel(
-            'Q4',
-            midX + halfWidth - 20,
-            midY + halfHeight - 10,
-            template,
-            labelOpacity,
-            fontSize - 2,
-            true
-        );
+    // Cell backgrounds, in reading order
+    for (let row = 0; row < grid.rows; row++) {
+        for (let column = 0; column < grid.columns; column++) {
+            const cell = cells[row * grid.columns + column] || {};
+            svg += `<rect x="${columnEdges[column]}" y="${rowEdges[row]}" 
+                width="${columnEdges[column + 1] - columnEdges[column]}" height="${rowEdges[row + 1] - rowEdges[row]}" 
+                fill="${cell.color || getCellColor(template, row, column, grid)}" 
+                opacity="${opacity}" />`;
+        }
+    }
+    
+    // Cell labels: custom names take precedence over the template's default labels.
+    // Labels sit in the outer corner of edge cells and at the top centre of inner ones.
+    const labelOpacity = template.quadrantLabelOpacity || 0.5;
+    const fontSize = template.labelFontSize;
+    
+    for (let row = 0; row < grid.rows; row++) {
+        for (let column = 0; column < grid.columns; column++) {
+            const index = row * grid.columns + column;
+            const custom = cells[index];
+            const name = custom ? (custom.title || '').trim() : '';
+            const description = custom ? (custom.description || '').trim() : '';
+            
+            let x = (columnEdges[column] + columnEdges[column + 1]) / 2;
+            let anchor = 'middle';
+            if (column === 0) {
+                x = columnEdges[column] + 20;
+                anchor = 'start';
+            } else if (column === grid.columns - 1) {
+                x = columnEdges[column + 1] - 20;
+                anchor = 'end';
+            }
+            const fromBottom = grid.rows > 1 && row === grid.rows - 1;
+            const y = fromBottom ? rowEdges[row + 1] - 10 : rowEdges[row] + 20;
+            
+            // Space taken by the label, so the stats can sit beyond it
+            let labelSpan = 0;
+            if (name || description) {
+                labelSpan = [name, description].filter(Boolean).join('\n').split('\n').length * (fontSize + 4);
+            } else if (template.showQuadrantLabels) {
+                labelSpan = fontSize + 2;
+            }
+            if (stats && stats[index]) {
+                const statsY = fromBottom ? y - labelSpan : y + labelSpan;
+                svg += generateCellStats(stats[index], axes, x, statsY, template, anchor, fromBottom);
+            }
+            
+            if (name || description) {
+                svg += generateQuadrantLabel(
+                    [name, description].filter(Boolean).join('\n'),
+                    x,
+                    y,
+                    template,
+                    Math.max(labelOpacity, 0.8),
+                    fontSize,
+                    true,
+                    { anchor, fromBottom, hasTitle: !!name }
+                );
+            } else if (template.showQuadrantLabels) {
+                svg += generateQuadrantLabel(
+                    isQuadrants ? QUADRANT_NAMES[index] : String(index + 1),
+                    x,
+                    y,
+                    template,
+                    labelOpacity,
+                    fontSize - 2,
+                    true,
+                    { anchor }
+                );
+            }
+        }
     }
     
     return svg;
 }
 
+/**
+ * Generate a cell's point count, share of all points and mean position
+ * @param {Object} stat - Cell stats from getCellStats
+ * @param {Object} axes - Axis configurations {x, y}
+ * @param {number} y - Baseline of the first line, or of the last when growing upwards
+ * @param {string} anchor - Text anchor (start, middle or end)
+ * @param {boolean} fromBottom - Grow upwards from y instead of downwards
+ */
+function generateCellStats(stat, axes, x, y, template, anchor, fromBottom) {
+    const fontSize = template.labelFontSize - 2;
+    const lineHeight = fontSize + 4;
+    const text = formatCellStats(stat, axes);
+    const lines = [`${text.count} · ${text.share}`];
+    if (stat.count > 0) lines.push(`Mean ${text.meanX}, ${text.meanY}`);
+    const startY = fromBottom ? y - (lines.length - 1) * lineHeight : y;
+    
+    let svg = '<g class="cell-stats">';
+    lines.forEach((line, index) => {
+        svg += `<text x="${x}" y="${startY + index * lineHeight}" 
+            text-anchor="${anchor}" 
+            font-family="Inter, sans-serif" 
+            font-size="${fontSize}" 
+            font-weight="${index === 0 ? 600 : 400}"
+            fill="${template.textColor}"
+            opacity="0.85">${escapeXml(line)}</text>`;
+    });
+    svg += '</g>';
+    
+    return svg;
+}
+
 /**
  * Generate quadrant label with multi-line support
+ * Corner labels draw their first line as the quadrant name and any following
+ * lines (the description) smaller and in a lighter weight.
+ * @param {string} text - Label text, lines separated by \n
+ * @param {Object} options - Layout options
+ * @param {string} options.anchor - Text anchor for corner labels (start, middle or end)
+ * @param {boolean} options.fromBottom - Grow upwards from y instead of downwards
+ * @param {boolean} options.hasTitle - Whether the first line is a name (default true)
  */
-function generateQuadrantLabel(text, x, y, template, opacity, fontSize, isCornerLabel = false) {
+function generateQuadrantLabel(text, x, y, template, opacity, fontSize, isCornerLabel = false, options = {}) {
+    const { anchor = 'start', fromBottom = false, hasTitle = true } = options;
     const lines = text.split('\n');
     const lineHeight = fontSize + 4;
-    const startY = isCornerLabel ? y : y - ((lines.length - 1) * lineHeight / 2);
+    let startY = isCornerLabel ? y : y - ((lines.length - 1) * lineHeight / 2);
+    if (isCornerLabel && fromBottom) {
+        startY = y - (lines.length - 1) * lineHeight;
+    }
     
-    let svg = '<g>';
+    let svg = '<g class="quadrant-label">';
     lines.forEach((line, index) => {
-        const textAnchor = isCornerLabel ? 'start' : 'middle';
-        const fontWeight = isCornerLabel ? '700' : '500';
+        const isDescription = isCornerLabel && (index > 0 || !hasTitle);
+        const textAnchor = isCornerLabel ? anchor : 'middle';
+        const fontWeight = isDescription ? '400' : (isCornerLabel ? '700' : '500');
+        const lineFontSize = isDescription ? fontSize - 2 : fontSize;
         svg += `<text x="${x}" y="${startY + index * lineHeight}" 
             text-anchor="${textAnchor}" 
             font-family="Inter, sans-serif" 
-            font-size="${fontSize}" 
+            font-size="${lineFontSize}" 
             font-weight="${fontWeight}"
             fill="${template.textColor}"
             opacity="${opacity}">${escapeXml(line)}</text>`;
@@ -228,34 +454,54 @@ function generateQuadrantLabel(text, x, y, template, opacity, fontSize, isCorner
 
 /**
  * Generate grid lines
+ * Dashed lines at each tick (or at quarters, or powers of ten on log axes,
+ * when ticks are off), with the quadrant dividers emphasised as solid lines
  */
 function generateGrid(template, plotArea) {
-    const midX = plotArea.x + plotArea.width / 2;
-    const midY = plotArea.y + plotArea.height / 2;
+    const { xScale, yScale, columnEdges, rowEdges } = plotArea;
+    const dividerWidth = template.gridLineWidth + 0.5;
+    const right = plotArea.x + plotArea.width;
+    const bottom = plotArea.y + plotArea.height;
+    
+    // Grid positions, skipping cell edges (plot edges and the dividers drawn below)
+    const gridPositions = (scale, edges) => {
+        const positions = scale.grid().map(value => scale.toPixel(value));
+        return positions.filter(position => 
+            edges.every(edge => Math.abs(position - edge) > 0.5)
+        );
+    };
     
     let svg = '<g class="grid">';
     
-    // Vertical grid lines (quarters)
-    const quarterWidth = plotArea.width / 4;
-    for (let i = 1; i < 4; i++) {
-        const x = plotArea.x + quarterWidth * i;
-        const strokeWidth = i === 2 ? template.gridLineWidth + 0.5 : template.gridLineWidth;
-        svg += `<line x1="${x}" y1="${plotArea.y}" x2="${x}" y2="${plotArea.y + plotArea.height}" 
+    // Vertical grid lines
+    gridPositions(xScale, columnEdges).forEach(x => {
+        svg += `<line x1="${x}" y1="${plotArea.y}" x2="${x}" y2="${bottom}" 
             stroke="${template.gridColor}" 
-            stroke-width="${strokeWidth}"
-            stroke-dasharray="${i === 2 ? 'none' : '4,4'}" />`;
-    }
+            stroke-width="${template.gridLineWidth}"
+            stroke-dasharray="4,4" />`;
+    });
     
-    // Horizontal grid lines (quarters)
-    const quarterHeight = plotArea.height / 4;
-    for (let i = 1; i < 4; i++) {
-        const y = plotArea.y + quarterHeight * i;
-        const strokeWidth = i === 2 ? template.gridLineWidth + 0.5 : template.gridLineWidth;
-        svg += `<line x1="${plotArea.x}" y1="${y}" x2="${plotArea.x + plotArea.width}" y2="${y}" 
+    // Horizontal grid lines
+    gridPositions(yScale, rowEdges).forEach(y => {
+        svg += `<line x1="${plotArea.x}" y1="${y}" x2="${right}" y2="${y}" 
             stroke="${template.gridColor}" 
-            stroke-width="${strokeWidth}"
-            stroke-dasharray="${i === 2 ? 'none' : '4,4'}" />`;
-    }
+            stroke-width="${template.gridLineWidth}"
+            stroke-dasharray="4,4" />`;
+    });
+    
+    // Cell dividers
+    columnEdges.slice(1, -1).forEach(x => {
+        svg += `<line x1="${x}" y1="${plotArea.y}" x2="${x}" y2="${bottom}" 
+            stroke="${template.gridColor}" 
+            stroke-width="${dividerWidth}"
+            stroke-dasharray="none" />`;
+    });
+    rowEdges.slice(1, -1).forEach(y => {
+        svg += `<line x1="${plotArea.x}" y1="${y}" x2="${right}" y2="${y}" 
+            stroke="${template.gridColor}" 
+            stroke-width="${dividerWidth}"
+            stroke-dasharray="none" />`;
+    });
     
     svg += '</g>';
     return svg;
@@ -264,51 +510,73 @@ function generateGrid(template, plotArea) {
 /**
  * Generate axes with labels
  */
-function generateAxes(template, plotArea, xAxisName, yAxisName) {
-    const midX = plotArea.x + plotArea.width / 2;
-    const midY = plotArea.y + plotArea.height / 2;
+function generateAxes(template, plotArea, xAxisName, yAxisName, textLayout) {
+    const { midX, midY } = plotArea;
     const axisExtend = 20;
+    const right = plotArea.x + plotArea.width;
+    const bottom = plotArea.y + plotArea.height;
+    
+    // Axes on a divider point both ways; axes along an edge start at the
+    // corner and only point towards the high end
+    const xReversed = plotArea.xScale.axis.reversed;
+    const yReversed = plotArea.yScale.axis.reversed;
+    const leftArrow = plotArea.xAxisOnDivider || xReversed;
+    const rightArrow = plotArea.xAxisOnDivider || !xReversed;
+    const bottomArrow = plotArea.yAxisOnDivider || yReversed;
+    const topArrow = plotArea.yAxisOnDivider || !yReversed;
+    const xStart = leftArrow ? plotArea.x - axisExtend : plotArea.x;
+    const xEnd = rightArrow ? right + axisExtend : right;
+    const yStart = bottomArrow ? bottom + axisExtend : bottom;
+    const yEnd = topArrow ? plotArea.y - axisExtend : plotArea.y;
     
     let svg = '<g class="axes">';
     
     // X-axis (horizontal)
-    svg += `<line x1="${plotArea.x - axisExtend}" y1="${midY}" 
-        x2="${plotArea.x + plotArea.width + axisExtend}" y2="${midY}" 
+    svg += `<line x1="${xStart}" y1="${midY}" 
+        x2="${xEnd}" y2="${midY}" 
         stroke="${template.axisColor}" 
         stroke-width="${template.axisLineWidth}" />`;
     
     // X-axis left arrow
-    svg += `<polygon points="${plotArea.x - axisExtend},${midY} 
-        ${plotArea.x - axisExtend + 8},${midY - 4} 
-        ${plotArea.x - axisExtend + 8},${midY + 4}" 
-        fill="${template.axisColor}" />`;
+    if (leftArrow) {
+        svg += `<polygon points="${xStart},${midY} 
+            ${xStart + 8},${midY - 4} 
+            ${xStart + 8},${midY + 4}" 
+            fill="${template.axisColor}" />`;
+    }
     
     // X-axis right arrow
-    svg += `<polygon points="${plotArea.x + plotArea.width + axisExtend},${midY} 
-        ${plotArea.x + plotArea.width + axisExtend - 8},${midY - 4} 
-        ${plotArea.x + plotArea.width + axisExtend - 8},${midY + 4}" 
-        fill="${template.axisColor}" />`;
+    if (rightArrow) {
+        svg += `<polygon points="${xEnd},${midY} 
+            ${xEnd - 8},${midY - 4} 
+            ${xEnd - 8},${midY + 4}" 
+            fill="${template.axisColor}" />`;
+    }
     
     // Y-axis (vertical)
-    svg += `<line x1="${midX}" y1="${plotArea.y + plotArea.height + axisExtend}" 
-        x2="${midX}" y2="${plotArea.y - axisExtend}" 
+    svg += `<line x1="${midX}" y1="${yStart}" 
+        x2="${midX}" y2="${yEnd}" 
         stroke="${template.axisColor}" 
         stroke-width="${template.axisLineWidth}" />`;
     
     // Y-axis bottom arrow
-    svg += `<polygon points="${midX},${plotArea.y + plotArea.height + axisExtend} 
-        ${midX - 4},${plotArea.y + plotArea.height + axisExtend - 8} 
-        ${midX + 4},${plotArea.y + plotArea.height + axisExtend - 8}" 
-        fill="${template.axisColor}" />`;
+    if (bottomArrow) {
+        svg += `<polygon points="${midX},${yStart} 
+            ${midX - 4},${yStart - 8} 
+            ${midX + 4},${yStart - 8}" 
+            fill="${template.axisColor}" />`;
+    }
     
     // Y-axis top arrow
-    svg += `<polygon points="${midX},${plotArea.y - axisExtend} 
-        ${midX - 4},${plotArea.y - axisExtend + 8} 
-        ${midX + 4},${plotArea.y - axisExtend + 8}" 
-        fill="${template.axisColor}" />`;
+    if (topArrow) {
+        svg += `<polygon points="${midX},${yEnd} 
+            ${midX - 4},${yEnd + 8} 
+            ${midX + 4},${yEnd + 8}" 
+            fill="${template.axisColor}" />`;
+    }
     
     // Axis value labels (Low/High with axis names)
-    svg += generateAxisLabels(template, plotArea, xAxisName, yAxisName);
+    svg += generateAxisLabels(template, plotArea, xAxisName, yAxisName, textLayout);
     
     svg += '</g>';
     return svg;
@@ -317,86 +585,1026 @@ function generateAxes(template, plotArea, xAxisName, yAxisName) {
 /**
  * Generate axis value labels (Low/High with axis names)
  */
-function generateAxisLabels(template, plotArea, xAxisName, yAxisName) {
-    const midX = plotArea.x + plotArea.width / 2;
-    const midY = plotArea.y + plotArea.height / 2;
+function generateAxisLabels(template, plotArea, xAxisName, yAxisName, textLayout) {
+    const { midX, midY } = plotArea;
     const fontSize = template.labelFontSize;
     const offset = 12;
     
+    // Fit each label to the room beside it, as set by the text layout
+    const fit = (text, maxWidth, maxLines = 2) => fitText(text, {
+        fontSize,
+        fontWeight: 500,
+        maxWidth,
+        maxLines,
+        overflow: textLayout.overflow
+    });
+    
+    // Reversed axes put the high end on the left or at the bottom
+    const [leftLabel, rightLabel] = plotArea.xScale.axis.reversed ? ['High', 'Low'] : ['Low', 'High'];
+    const [bottomLabel, topLabel] = plotArea.yScale.axis.reversed ? ['High', 'Low'] : ['Low', 'High'];
+    
+    // Axes along an edge keep their labels inside the plot's span and clear of tick labels
+    const xLabelY = plotArea.xAxisOnDivider 
+        ? midY + fontSize + offset 
+        : midY + fontSize + offset + (plotArea.xScale.ticks().length > 0 ? fontSize + 6 : 0);
+    const [xLeftAnchor, xRightAnchor] = plotArea.xAxisOnDivider ? ['middle', 'middle'] : ['start', 'end'];
+    
+    // Labels centred on the plot's corners must stay on the canvas
+    const xLabelWidth = plotArea.xAxisOnDivider ? plotArea.x * 2 - 8 : plotArea.width / 2 - 8;
+    const leftX = plotArea.x;
+    const rightX = plotArea.x + plotArea.width;
+    
     let svg = '<g class="axis-labels" opacity="0.7">';
     
     // X-axis labels
-    svg += `<text x="${plotArea.x}" y="${midY + fontSize + offset}" 
-        text-anchor="middle" font-family="Inter, sans-serif" 
+    svg += `<text x="${leftX}" y="${xLabelY}" 
+        text-anchor="${xLeftAnchor}" font-family="Inter, sans-serif" 
         font-size="${fontSize}" 
         font-weight="500"
-        fill="${template.textColor}">Low ${escapeXml(xAxisName)}</text>`;
+        fill="${template.textColor}">${renderTextLines(fit(`${leftLabel} ${xAxisName}`, xLabelWidth), leftX, fontSize)}</text>`;
     
-    svg += `<text x="${plotArea.x + plotArea.width}" y="${midY + fontSize + offset}" 
-        text-anchor="middle" font-family="Inter, sans-serif" 
+    svg += `<text x="${rightX}" y="${xLabelY}" 
+        text-anchor="${xRightAnchor}" font-family="Inter, sans-serif" 
         font-size="${fontSize}" 
         font-weight="500"
-        fill="${template.textColor}">High ${escapeXml(xAxisName)}</text>`;
+        fill="${template.textColor}">${renderTextLines(fit(`${rightLabel} ${xAxisName}`, xLabelWidth), rightX, fontSize)}</text>`;
     
     // Y-axis labels
-    svg += `<text x="${midX - fontSize - offset - 5}" y="${plotArea.y + plotArea.height + 5}" 
-        text-anchor="end" font-family="Inter, sans-serif" 
-        font-size="${fontSize}" 
-        font-weight="500"
-        fill="${template.textColor}">Low ${escapeXml(yAxisName)}</text>`;
+    if (plotArea.yAxisOnDivider) {
+        // Labels end beside the axis, so extra lines grow away from the plot's corners
+        const labelX = midX - fontSize - offset - 5;
+        const labelWidth = labelX - 8;
+        const bottomLines = fit(`${bottomLabel} ${yAxisName}`, labelWidth);
+        const topLines = fit(`${topLabel} ${yAxisName}`, labelWidth);
+        
+        svg += `<text x="${labelX}" y="${plotArea.y + plotArea.height + 5}" 
+            text-anchor="end" font-family="Inter, sans-serif" 
+            font-size="${fontSize}" 
+            font-weight="500"
+            fill="${template.textColor}">${renderTextLines(bottomLines, labelX, fontSize, 'bottom')}</text>`;
+        
+        svg += `<text x="${labelX}" y="${plotArea.y + 5}" 
+            text-anchor="end" font-family="Inter, sans-serif" 
+            font-size="${fontSize}" 
+            font-weight="500"
+            fill="${template.textColor}">${renderTextLines(topLines, labelX, fontSize)}</text>`;
+    } else {
+        // Run the labels up the left margin, outside any tick labels, on one line each
+        const labelX = plotArea.yScale.ticks().length > 0 ? fontSize + 2 : midX - offset;
+        const labelWidth = plotArea.height / 2 - 8;
+        const bottom = plotArea.y + plotArea.height;
+        svg += `<text x="${labelX}" y="${bottom}" 
+            transform="rotate(-90 ${labelX} ${bottom})"
+            text-anchor="start" font-family="Inter, sans-serif" 
+            font-size="${fontSize}" 
+            font-weight="500"
+            fill="${template.textColor}">${renderTextLines(fit(`${bottomLabel} ${yAxisName}`, labelWidth, 1), labelX, fontSize)}</text>`;
+        
+        svg += `<text x="${labelX}" y="${plotArea.y}" 
+            transform="rotate(-90 ${labelX} ${plotArea.y})"
+            text-anchor="end" font-family="Inter, sans-serif" 
+            font-size="${fontSize}" 
+            font-weight="500"
+            fill="${template.textColor}">${renderTextLines(fit(`${topLabel} ${yAxisName}`, labelWidth, 1), labelX, fontSize)}</text>`;
+    }
     
-    svg += `<text x="${midX - fontSize - offset - 5}" y="${plotArea.y + 5}" 
-        text-anchor="end" font-family="Inter, sans-serif" 
-        font-size="${fontSize}" 
-        font-weight="500"
-        fill="${template.textColor}">High ${escapeXml(yAxisName)}</text>`;
+    svg += '</g>';
+    
+    svg += generateTickLabels(template, plotArea);
+    
+    return svg;
+}
+
+/**
+ * Generate tick marks and value labels along the bottom and left plot edges
+ */
+function generateTickLabels(template, plotArea) {
+    const { xScale, yScale } = plotArea;
+    const xTicks = xScale.ticks();
+    const yTicks = yScale.ticks();
+    if (xTicks.length === 0 && yTicks.length === 0) return '';
+    
+    const fontSize = template.labelFontSize - 2;
+    const tickLength = 5;
+    const bottom = plotArea.y + plotArea.height;
+    // Labels on a divider move past the axis arrow that extends beyond the plot
+    const arrowClearance = 24;
+    
+    let svg = '<g class="tick-labels">';
+    
+    xTicks.forEach(value => {
+        const x = xScale.toPixel(value);
+        const labelY = plotArea.yAxisOnDivider && Math.abs(x - plotArea.midX) < fontSize * 2
+            ? bottom + arrowClearance + fontSize
+            : bottom + tickLength + fontSize + 2;
+        svg += `<line x1="${x}" y1="${bottom}" x2="${x}" y2="${bottom + tickLength}" 
+            stroke="${template.axisColor}" 
+            stroke-width="1" />`;
+        svg += `<text x="${x}" y="${labelY}" 
+            text-anchor="middle" 
+            font-family="Inter, sans-serif" 
+            font-size="${fontSize}" 
+            fill="${template.textColor}"
+            opacity="0.8">${escapeXml(xScale.format(value))}</text>`;
+    });
+    
+    yTicks.forEach(value => {
+        const y = yScale.toPixel(value);
+        const labelX = plotArea.xAxisOnDivider && Math.abs(y - plotArea.midY) < fontSize
+            ? plotArea.x - arrowClearance
+            : plotArea.x - tickLength - 4;
+        svg += `<line x1="${plotArea.x - tickLength}" y1="${y}" x2="${plotArea.x}" y2="${y}" 
+            stroke="${template.axisColor}" 
+            stroke-width="1" />`;
+        svg += `<text x="${labelX}" y="${y + fontSize / 3}" 
+            text-anchor="end" 
+            font-family="Inter, sans-serif" 
+            font-size="${fontSize}" 
+            fill="${template.textColor}"
+            opacity="0.8">${escapeXml(yScale.format(value))}</text>`;
+    });
+    
+    svg += '</g>';
+    return svg;
+}
+
+/**
+ * Generate the density heatmap as a layer of hexagonal bins
+ * Point density is sampled at the centre of each hexagon and graded into
+ * bands of the template's density colours, one path per band. Sparse areas
+ * stay clear so the cells show through.
+ */
+function generateDensity(dataPoints, template, plotArea) {
+    const { x, y, width, height, xScale, yScale } = plotArea;
+    const bottom = y + height;
+    
+    // Positions in the 0-100 space of the plot as drawn, so log and
+    // reversed axes are estimated the way they look
+    const positions = [];
+    dataPoints.forEach(point => {
+        if (point.x == null || point.y == null) return;
+        positions.push({
+            u: (xScale.toPixel(point.x) - x) / width * 100,
+            v: (bottom - yScale.toPixel(point.y)) / height * 100
+        });
+    });
+    
+    const density = estimateDensity(positions);
+    if (!density) return '';
+    
+    // Pointy-topped hexagons in offset rows, covering the plot
+    const radius = width / (DENSITY_HEX_COLUMNS * Math.sqrt(3));
+    const hexWidth = radius * Math.sqrt(3);
+    const rowHeight = radius * 1.5;
+    const round = value => Math.round(value * 10) / 10;
+    const corners = [0, 1, 2, 3, 4, 5].map(i => {
+        const angle = Math.PI / 3 * i - Math.PI / 6;
+        return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+    });
+    
+    const bands = Array.from({ length: DENSITY_BANDS }, () => []);
+    for (let row = 0; row * rowHeight <= height + radius; row++) {
+        const cy = bottom - row * rowHeight;
+        const offset = row % 2 ? hexWidth / 2 : 0;
+        for (let column = 0; column * hexWidth - offset <= width + hexWidth / 2; column++) {
+            const cx = x + column * hexWidth - offset;
+            const level = density.at((cx - x) / width * 100, (bottom - cy) / height * 100);
+            if (level < DENSITY_THRESHOLD) continue;
+            
+            const band = Math.min(DENSITY_BANDS - 1, Math.floor(level * DENSITY_BANDS));
+            bands[band].push('M' + corners.map(([dx, dy]) => `${round(cx + dx)},${round(cy + dy)}`).join('L') + 'Z');
+        }
+    }
+    
+    let svg = `<g class="density" pointer-events="none">
+        <clipPath id="densityClip">
+            <rect x="${x}" y="${y}" width="${width}" height="${height}" />
+        </clipPath>
+        <g clip-path="url(#densityClip)">`;
+    
+    // A matching stroke closes the hairline seams between neighbouring hexagons
+    bands.forEach((hexagons, band) => {
+        if (hexagons.length === 0) return;
+        
+        const level = (band + 1) / DENSITY_BANDS;
+        const color = getDensityColor(template, level);
+        svg += `<path d="${hexagons.join('')}" 
+            fill="${color}" 
+            stroke="${color}" 
+            stroke-width="1" 
+            opacity="${round(0.3 + level * 0.5)}" />`;
+    });
+    
+    svg += '</g></g>';
+    return svg;
+}
+
+/**
+ * Generate the annotations layer: text boxes, shaded regions and reference lines
+ * Annotations are positioned in axis values, drawn above the cells and axes
+ * and below the data points. The layer ignores the pointer, so clicks and
+ * drags in the preview reach the matrix behind it.
+ */
+function generateAnnotations(annotations, template, plotArea, textLayout) {
+    const { xScale, yScale } = plotArea;
+    const fontSize = template.labelFontSize;
+    const fit = (text, maxWidth, maxLines = 2) => 
+        fitText(text, { fontSize, fontWeight: 600, maxWidth, maxLines, overflow: textLayout.overflow });
+    const textAttributes = color => `font-family="Inter, sans-serif" 
+            font-size="${fontSize}" 
+            font-weight="600"
+            fill="${color}"`;
+    
+    let svg = '<g class="annotations" pointer-events="none">';
+    
+    annotations.forEach(annotation => {
+        const color = annotation.color || template.axisColor;
+        const x1 = xScale.toPixel(annotation.x1);
+        const y1 = yScale.toPixel(annotation.y1);
+        const x2 = xScale.toPixel(annotation.x2);
+        const y2 = yScale.toPixel(annotation.y2);
+        const text = (annotation.text || '').trim();
+        
+        if (annotation.type === 'text') {
+            if (!text) return;
+            
+            // Box centred on the position, sized to the wrapped text
+            const padding = 6;
+            const lines = fit(text, textLayout.labelWidth, 4);
+            const width = measureLines(lines, fontSize, 600) + padding * 2;
+            const height = fontSize + (lines.length - 1) * fontSize * LINE_HEIGHT + padding * 2;
+            const boxX = x1 - width / 2;
+            const boxY = y1 - height / 2;
+            
+            svg += `<rect class="annotation-text" x="${boxX}" y="${boxY}" 
+                width="${width}" height="${height}" 
+                fill="${template.background}" 
+                fill-opacity="0.9" 
+                stroke="${color}" 
+                stroke-width="1.5" 
+                rx="4" />`;
+            svg += `<text x="${x1}" y="${boxY + padding + fontSize * 0.8}" 
+                text-anchor="middle" 
+                ${textAttributes(color)}>${renderTextLines(lines, x1, fontSize)}</text>`;
+        } else if (annotation.type === 'rect' || annotation.type === 'ellipse') {
+            const left = Math.min(x1, x2);
+            const top = Math.min(y1, y2);
+            const width = Math.abs(x2 - x1);
+            const height = Math.abs(y2 - y1);
+            const shading = `fill="${color}" 
+                fill-opacity="0.15" 
+                stroke="${color}" 
+                stroke-width="1.5" 
+                stroke-dasharray="6,4"`;
+            
+            if (annotation.type === 'rect') {
+                svg += `<rect class="annotation-region" x="${left}" y="${top}" 
+                    width="${width}" height="${height}" 
+                    ${shading} />`;
+            } else {
+                svg += `<ellipse class="annotation-region" cx="${left + width / 2}" cy="${top + height / 2}" 
+                    rx="${width / 2}" ry="${height / 2}" 
+                    ${shading} />`;
+            }
+            
+            // Rectangles are labelled in their top-left corner, ellipses in the middle
+            if (text) {
+                const lines = fit(text, Math.max(40, width - 16));
+                const isRect = annotation.type === 'rect';
+                const textX = isRect ? left + 8 : left + width / 2;
+                const textY = isRect 
+                    ? top + 8 + fontSize 
+                    : top + height / 2 + fontSize * 0.35 - (lines.length - 1) * fontSize * LINE_HEIGHT / 2;
+                svg += `<text x="${textX}" y="${textY}" 
+                    text-anchor="${isRect ? 'start' : 'middle'}" 
+                    ${textAttributes(color)}>${renderTextLines(lines, textX, fontSize)}</text>`;
+            }
+        } else if (annotation.type === 'line' || annotation.type === 'diagonal') {
+            const isDiagonal = annotation.type === 'diagonal';
+            const segment = isDiagonal 
+                ? extendLineToPlot(x1, y1, x2, y2, plotArea) 
+                : { x1, y1, x2, y2 };
+            if (!segment) return;
+            
+            const angle = Math.atan2(segment.y2 - segment.y1, segment.x2 - segment.x1);
+            const arrowSize = 10;
+            const hasArrow = !isDiagonal && annotation.arrow && 
+                Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1) > arrowSize;
+            
+            // Stop the line at the base of the arrowhead so its end stays sharp
+            const endX = hasArrow ? segment.x2 - Math.cos(angle) * arrowSize : segment.x2;
+            const endY = hasArrow ? segment.y2 - Math.sin(angle) * arrowSize : segment.y2;
+            svg += `<line class="annotation-line" x1="${segment.x1}" y1="${segment.y1}" x2="${endX}" y2="${endY}" 
+                stroke="${color}" 
+                stroke-width="2" 
+                ${isDiagonal ? 'stroke-dasharray="8,6"' : ''} />`;
+            
+            if (hasArrow) {
+                const spread = Math.PI / 7;
+                const { x2: tipX, y2: tipY } = segment;
+                svg += `<polygon points="${tipX},${tipY} 
+                    ${tipX - Math.cos(angle - spread) * arrowSize * 1.2},${tipY - Math.sin(angle - spread) * arrowSize * 1.2} 
+                    ${tipX - Math.cos(angle + spread) * arrowSize * 1.2},${tipY - Math.sin(angle + spread) * arrowSize * 1.2}" 
+                    fill="${color}" />`;
+            }
+            
+            // Lines are labelled beside their middle, diagonals near their far end,
+            // offset to the upper side and anchored away from the line
+            if (text) {
+                const t = isDiagonal ? 0.85 : 0.5;
+                const normalX = Math.sin(angle) * (Math.cos(angle) >= 0 ? 1 : -1);
+                const normalY = -Math.abs(Math.cos(angle));
+                const textX = segment.x1 + (segment.x2 - segment.x1) * t + normalX * 8;
+                const textY = segment.y1 + (segment.y2 - segment.y1) * t + normalY * 8;
+                const anchor = normalX > 0.3 ? 'start' : normalX < -0.3 ? 'end' : 'middle';
+                const lines = fit(text, textLayout.labelWidth);
+                svg += `<text x="${textX}" y="${textY}" 
+                    text-anchor="${anchor}" 
+                    stroke="${template.background}" 
+                    stroke-width="3" 
+                    paint-order="stroke" 
+                    ${textAttributes(color)}>${renderTextLines(lines, textX, fontSize, 'bottom')}</text>`;
+            }
+        }
+    });
     
     svg += '</g>';
     return svg;
 }
 
+/**
+ * Extend the line through two positions to the edges of the plot
+ * @returns {Object|null} - Segment {x1, y1, x2, y2} across the plot, in the
+ *                          direction of the two positions, or null if the
+ *                          positions coincide or the line misses the plot
+ */
+function extendLineToPlot(x1, y1, x2, y2, plotArea) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    if (dx === 0 && dy === 0) return null;
+    
+    // Clip the infinite line x1 + t·dx, y1 + t·dy to the plot (Liang–Barsky)
+    let tMin = -Infinity;
+    let tMax = Infinity;
+    const edges = [
+        [dx, plotArea.x - x1, plotArea.x + plotArea.width - x1],
+        [dy, plotArea.y - y1, plotArea.y + plotArea.height - y1]
+    ];
+    for (const [delta, low, high] of edges) {
+        if (delta === 0) {
+            if (low > 0 || high < 0) return null;
+        } else {
+            const [t1, t2] = [low / delta, high / delta].sort((a, b) => a - b);
+            tMin = Math.max(tMin, t1);
+            tMax = Math.min(tMax, t2);
+        }
+    }
+    if (tMin >= tMax) return null;
+    
+    return {
+        x1: x1 + tMin * dx,
+        y1: y1 + tMin * dy,
+        x2: x1 + tMax * dx,
+        y2: y1 + tMax * dy
+    };
+}
+
 /**
  * Generate data points with labels
+ * Labels are fitted to the text layout's label width, then positioned by the
+ * placement pass in labels.js so they do not collide. With describePoints,
+ * each point carries its label and details as <title>/<desc>. In density
+ * mode points shrink to small dots over the heatmap, and labels can be
+ * hidden, which skips the placement pass so large point sets stay fast;
+ * above MAX_DENSITY_LABELS points they are hidden anyway.
+ * Numbered labels also skip it: each marker gets its number, inside the
+ * marker when it fits, and the full labels go in the point key. Markers
+ * take the point's shape, or their category's with shapes by category.
  */
-function generateDataPoints(dataPoints, template, plotArea, templateName) {
-    let svg = '<g class="data-points">';
+function generateDataPoints(dataPoints, template, plotArea, templateName, dims, sizeScale, categories = [], 
+    textLayout = normalizeTextLayout(), describePoints = false, density = normalizeDensity(), shapeByCategory = false) {
+    const fontSize = template.labelFontSize;
+    const filter = template.pointShadow && !density.enabled ? 'url(#pointShadow)' : '';
+    const numbered = usesNumberedLabels(textLayout, density);
+    const showLabels = showsPointLabels(density, dataPoints.filter(isDrawnPoint).length) && !numbered;
+    const usesCategories = usesCategoryColors(dataPoints, categories, density);
     
+    // Calculate positions through the axis scales
+    const points = [];
     dataPoints.forEach((point, index) => {
-        if (!point.label || point.x == null || point.y == null) return;
+        if (!isDrawnPoint(point)) return;
         
-        // Calculate position (invert Y for SVG coordinates)
-        const x = plotArea.x + (point.x / 100) * plotArea.width;
-        const y = plotArea.y + plotArea.height - (point.y / 100) * plotArea.height;
-        
-        const color = getPointColor(templateName, index);
-        const radius = template.pointRadius;
-        const filter = template.pointShadow ? 'url(#pointShadow)' : '';
+        points.push({
+            number: points.length + 1,
+            id: point.id,
+            x: plotArea.xScale.toPixel(point.x),
+            y: plotArea.yScale.toPixel(point.y),
+            from: hasMovement(point) ? {
+                x: plotArea.xScale.toPixel(point.from.x),
+                y: plotArea.yScale.toPixel(point.from.y)
+            } : null,
+            radius: sizeScale && isSizeValue(point.size) 
+                ? sizeScale.radius(point.size) 
+                : density.enabled ? DENSITY_POINT_RADIUS : template.pointRadius,
+            label: point.label,
+            lines: showLabels ? fitText(point.label, {
+                fontSize,
+                fontWeight: 500,
+                maxWidth: textLayout.labelWidth,
+                maxLines: 3,
+                overflow: textLayout.overflow
+            }) : [],
+            description: describePoints ? getPointDescription(point) : '',
+            color: getDataPointColor(point, index, categories, usesCategories, templateName, template),
+            shape: getMarkerShape(point, findCategory(point, categories), shapeByCategory)
+        });
+    });
+    
+    // Ghost markers count as obstacles so labels do not cover previous positions
+    const ghostBoxes = points.filter(point => point.from).map(point => ({
+        x: point.from.x - point.radius,
+        y: point.from.y - point.radius,
+        width: point.radius * 2,
+        height: point.radius * 2
+    }));
+    
+    const placements = showLabels ? placeLabels(points, {
+        fontSize,
+        fontWeight: 500,
+        bounds: { x: 0, y: 0, width: dims.width, height: dims.height - dims.footerHeight },
+        obstacles: ghostBoxes
+    }) : [];
+    
+    let svg = '<g class="data-points">';
+    
+    // Movement from previous positions sits beneath everything else
+    svg += generateMovements(points, template);
+    
+    // Leader lines sit beneath the points they connect to
+    placements.forEach(placement => {
+        if (!placement.leader) return;
         
-        // Draw point
-        svg += `<circle cx="${x}" cy="${y}" r="${radius}" 
-            fill="${color}" 
+        const { x1, y1, x2, y2 } = placement.leader;
+        svg += `<line class="leader-line" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" 
+            stroke="${template.textColor}" 
+            stroke-width="1" 
+            opacity="0.5" />`;
+    });
+    
+    // Draw points, largest bubbles first so smaller ones stay visible
+    [...points].sort((a, b) => b.radius - a.radius).forEach(point => {
+        const idAttribute = point.id ? ` data-point-id="${escapeXml(String(point.id))}"` : '';
+        const attributes = `class="data-point"${idAttribute} 
+            fill="${point.color}" 
             stroke="${template.pointStroke}" 
-            stroke-width="${template.pointStrokeWidth}"
-            filter="${filter}" />`;
+            stroke-width="${density.enabled ? 1 : template.pointStrokeWidth}"
+            stroke-linejoin="round"
+            filter="${filter}"`;
         
-        // Draw label
-        const labelY = y - radius - 8;
-        const label = escapeXml(point.label);
+        const desc = point.description ? `<desc>${escapeXml(point.description)}</desc>` : '';
+        const content = describePoints ? `<title>${escapeXml(point.label)}</title>${desc}` : '';
+        svg += renderMarker(point.shape, point.x, point.y, point.radius, attributes, content);
+    });
+    
+    if (numbered) {
+        svg += generatePointNumbers(points, template);
+    }
+    
+    // Draw labels above all points (none when they are hidden)
+    placements.forEach(({ box, textX, textY }, index) => {
+        const point = points[index];
         
         // Label background for readability
-        const labelWidth = label.length * (template.labelFontSize * 0.6);
-        svg += `<rect x="${x - labelWidth / 2 - 4}" y="${labelY - template.labelFontSize}" 
-            width="${labelWidth + 8}" height="${template.labelFontSize + 4}" 
+        svg += `<rect x="${box.x}" y="${box.y}" 
+            width="${box.width}" height="${box.height}" 
             fill="${template.background}" 
             opacity="0.9" 
             rx="2" />`;
         
-        svg += `<text x="${x}" y="${labelY}" 
+        svg += `<text x="${textX}" y="${textY}" 
             text-anchor="middle" 
             font-family="Inter, sans-serif" 
-            font-size="${template.labelFontSize}" 
+            font-size="${fontSize}" 
             font-weight="500"
-            fill="${template.textColor}">${label}</text>`;
+            fill="${template.textColor}">${renderTextLines(point.lines, textX, fontSize)}</text>`;
+    });
+    
+    svg += '</g>';
+    return svg;
+}
+
+/**
+ * Generate the number of each point, inside its marker when it fits and
+ * otherwise above and to the right of it
+ */
+function generatePointNumbers(points, template) {
+    const fontSize = template.labelFontSize;
+    let svg = '<g class="point-numbers" pointer-events="none">';
+    
+    points.forEach(point => {
+        const number = String(point.number);
+        const inner = getMarkerInnerRadius(point.shape, point.radius);
+        const insideSize = Math.min(fontSize, Math.round(inner * 1.1));
+        const fitsInside = inner >= NUMBER_INSIDE_RADIUS && 
+            measureTextWidth(number, insideSize, 700) <= inner * 1.7;
+        
+        if (fitsInside) {
+            svg += `<text x="${point.x}" y="${point.y + insideSize * 0.35}" 
+                text-anchor="middle" 
+                font-family="Inter, sans-serif" 
+                font-size="${insideSize}" 
+                font-weight="700"
+                fill="${getContrastColor(point.color)}">${number}</text>`;
+        } else {
+            // A halo in the background colour keeps the number readable over the plot
+            const offset = point.radius * 0.7 + 2;
+            svg += `<text x="${point.x + offset}" y="${point.y - offset}" 
+                font-family="Inter, sans-serif" 
+                font-size="${fontSize}" 
+                font-weight="700"
+                fill="${template.textColor}" 
+                stroke="${template.background}" 
+                stroke-width="3" 
+                paint-order="stroke">${number}</text>`;
+        }
+    });
+    
+    svg += '</g>';
+    return svg;
+}
+
+/**
+ * Check whether a data point is drawn (it needs a label and a position)
+ * Only drawn points are numbered, so markers and the point key agree.
+ */
+function isDrawnPoint(point) {
+    return !!point.label && point.x != null && point.y != null;
+}
+
+/**
+ * Check whether points are labelled with numbers keyed to the point key
+ * Hiding labels over a density heatmap hides the numbers too.
+ * @param {Object} textLayout - Text layout
+ * @param {Object} density - Density settings
+ * @returns {boolean} - True for numbered labels that are shown
+ */
+function usesNumberedLabels(textLayout, density) {
+    const { enabled, hideLabels } = normalizeDensity(density);
+    return normalizeTextLayout(textLayout).labels === 'numbered' && !(enabled && hideLabels);
+}
+
+/**
+ * Check whether points are coloured by category
+ * Over a heatmap, only categories are coloured; other points share one colour.
+ */
+function usesCategoryColors(dataPoints, categories, density) {
+    return normalizeDensity(density).enabled || dataPoints.some(point => findCategory(point, categories));
+}
+
+/**
+ * Lay out the point key: each drawn point's marker, number and full label,
+ * grouped by the cell it sits in and flowed into columns across the canvas
+ * @param {Object} data - Matrix data
+ * @param {Object} template - Template configuration
+ * @param {Object} textLayout - Text layout (for the label overflow mode)
+ * @param {number} maxWidth - Width available to the key
+ * @returns {Object|null} - Layout {columns, columnWidth, swatchRadius, height} or
+ *                          null without drawn points
+ */
+function layoutPointKey(data, template, textLayout, maxWidth) {
+    const dataPoints = data.dataPoints || [];
+    const fontSize = template.labelFontSize;
+    const lineHeight = fontSize * LINE_HEIGHT;
+    
+    // Marker swatch, then the numbers right-aligned, then the labels (stars
+    // and diamonds reach past the swatch radius, hence the wider gap)
+    const swatchRadius = Math.round(fontSize * 0.45);
+    const drawnCount = dataPoints.filter(isDrawnPoint).length;
+    const numberEnd = swatchRadius * 2 + 10 + measureTextWidth(String(drawnCount), fontSize, 700);
+    const textOffset = numberEnd + 8;
+    const itemGap = 6;
+    const headingSpace = 8;
+    const headingGap = 10;
+    
+    const columnCount = Math.max(1, Math.floor((maxWidth + KEY_COLUMN_GAP) / (KEY_MIN_COLUMN_WIDTH + KEY_COLUMN_GAP)));
+    const columnWidth = (maxWidth - KEY_COLUMN_GAP * (columnCount - 1)) / columnCount;
+    
+    // Number the drawn points in order and group them by cell
+    const layout = getGridLayout(data);
+    const cells = data.cells || quadrantsToCells(data.quadrants);
+    const usesCategories = usesCategoryColors(dataPoints, data.categories, data.density);
+    const groups = new Map();
+    let number = 0;
+    dataPoints.forEach((point, index) => {
+        if (!isDrawnPoint(point)) return;
+        
+        number++;
+        const cell = getCell(point.x, point.y, layout);
+        if (!groups.has(cell.index)) {
+            // Unnamed cells use their position, after Q1–Q4 on the classic quadrants
+            const custom = cells[cell.index];
+            const position = getCellName(cell.row, cell.column, layout.rows, layout.columns);
+            const title = (custom ? (custom.title || '').trim() : '') || 
+                (layout.rows === 2 && layout.columns === 2 ? `${QUADRANT_NAMES[cell.index]} · ${position}` : position);
+            groups.set(cell.index, {
+                title: fitText(title, { fontSize, fontWeight: 700, maxWidth: columnWidth, maxLines: 1, overflow: 'ellipsis' })[0],
+                items: []
+            });
+        }
+        
+        const lines = fitText(point.label, {
+            fontSize,
+            fontWeight: 500,
+            maxWidth: columnWidth - textOffset,
+            maxLines: 3,
+            overflow: textLayout.overflow
+        });
+        groups.get(cell.index).items.push({
+            type: 'item',
+            number,
+            lines,
+            color: getDataPointColor(point, index, data.categories, usesCategories, data.template, template),
+            shape: getMarkerShape(point, findCategory(point, data.categories), data.shapeByCategory),
+            height: fontSize + (lines.length - 1) * lineHeight + itemGap
+        });
+    });
+    
+    if (groups.size === 0) return null;
+    
+    // Cells in reading order, each a heading followed by its points
+    const entries = [];
+    [...groups.keys()].sort((a, b) => a - b).forEach(key => {
+        const group = groups.get(key);
+        entries.push({ type: 'heading', text: group.title, height: headingSpace + lineHeight + headingGap });
+        entries.push(...group.items);
+    });
+    
+    // Flow entries into columns no taller than a limit, keeping each heading
+    // with its first point
+    const fillColumns = limit => {
+        const columns = [{ entries: [], height: 0 }];
+        entries.forEach((entry, index) => {
+            let column = columns[columns.length - 1];
+            const next = entries[index + 1];
+            const needed = entry.type === 'heading' && next ? entry.height + next.height : entry.height;
+            
+            if (column.entries.length && column.height + needed > limit) {
+                column = { entries: [], height: 0 };
+                columns.push(column);
+            }
+            
+            column.entries.push(entry);
+            column.height += entry.height;
+        });
+        return columns;
+    };
+    
+    // Find the shortest limit that fits the columns available, so the key
+    // adds as little height to the canvas as it can
+    let low = 0;
+    let high = entries.reduce((sum, entry) => sum + entry.height, 0);
+    while (high - low > 1) {
+        const middle = (low + high) / 2;
+        if (fillColumns(middle).length <= columnCount) {
+            high = middle;
+        } else {
+            low = middle;
+        }
+    }
+    const columns = fillColumns(high);
+    
+    return {
+        columns,
+        columnWidth,
+        swatchRadius,
+        numberEnd,
+        textOffset,
+        headingSpace,
+        height: Math.ceil(Math.max(...columns.map(column => column.height))) + 24
+    };
+}
+
+/**
+ * Generate the point key panel below the legends
+ */
+function generatePointKey(layout, template, dims) {
+    const fontSize = template.labelFontSize;
+    const { columnWidth, swatchRadius, numberEnd, textOffset, headingSpace } = layout;
+    const top = dims.keyY + 8;
+    
+    let svg = '<g class="point-key">';
+    
+    // Rule separating the key from the plot and legends
+    svg += `<line x1="${dims.padding}" y1="${dims.keyY + 4}" x2="${dims.width - dims.padding}" y2="${dims.keyY + 4}" 
+        stroke="${template.gridColor}" 
+        stroke-width="1" />`;
+    
+    layout.columns.forEach((column, columnIndex) => {
+        const x = dims.padding + columnIndex * (columnWidth + KEY_COLUMN_GAP);
+        let y = top;
+        
+        column.entries.forEach(entry => {
+            if (entry.type === 'heading') {
+                svg += `<text x="${x}" y="${y + headingSpace + fontSize}" 
+                    font-family="Inter, sans-serif" 
+                    font-size="${fontSize}" 
+                    font-weight="700"
+                    fill="${template.titleColor}">${escapeXml(entry.text)}</text>`;
+            } else {
+                const centerY = y + fontSize / 2;
+                svg += renderMarker(entry.shape, x + swatchRadius, centerY, swatchRadius, `fill="${entry.color}" 
+                    stroke="${template.pointStroke}" 
+                    stroke-width="1" 
+                    stroke-linejoin="round"`);
+                svg += `<text x="${x + numberEnd}" y="${centerY + fontSize * 0.35}" 
+                    text-anchor="end" 
+                    font-family="Inter, sans-serif" 
+                    font-size="${fontSize}" 
+                    font-weight="700"
+                    fill="${template.titleColor}">${entry.number}</text>`;
+                svg += `<text x="${x + textOffset}" y="${centerY + fontSize * 0.35}" 
+                    font-family="Inter, sans-serif" 
+                    font-size="${fontSize}" 
+                    font-weight="500"
+                    fill="${template.textColor}">${renderTextLines(entry.lines, x + textOffset, fontSize)}</text>`;
+            }
+            y += entry.height;
+        });
+    });
+    
+    svg += '</g>';
+    return svg;
+}
+
+/**
+ * Describe a point's details (notes, owner, status and link) as plain text
+ * @param {Object} point - Data point
+ * @returns {string} - One detail per line, empty if the point has none
+ */
+function getPointDescription(point) {
+    const lines = [];
+    if (point.notes) lines.push(point.notes);
+    if (point.owner) lines.push(`Owner: ${point.owner}`);
+    if (point.status) lines.push(`Status: ${point.status}`);
+    if (point.link && isSafeUrl(point.link)) lines.push(`Link: ${point.link}`);
+    return lines.join('\n');
+}
+
+/**
+ * Find the category a point belongs to
+ * @returns {Object|null} - Category {name, color} or null if uncategorised
+ */
+function findCategory(point, categories) {
+    if (!point.category || !Array.isArray(categories)) return null;
+    return categories.find(category => category.name === point.category) || null;
+}
+
+/**
+ * Get the fill colour for a data point
+ * Categorised points take the palette colour assigned to their category, so
+ * colours stay stable when rows are added or removed. Without categories,
+ * colours follow the point order as before.
+ */
+function getDataPointColor(point, index, categories, usesCategories, templateName, template) {
+    const category = findCategory(point, categories);
+    
+    if (category) {
+        return getPointColor(templateName, category.color);
+    }
+    
+    return usesCategories ? template.uncategorizedColor : getPointColor(templateName, index);
+}
+
+/**
+ * Collect legend entries for categories that are in use
+ * @returns {Array<Object>} - Legend items {name, color, shape} in category list order
+ */
+function getCategoryLegendItems(dataPoints, categories, templateName, shapeByCategory) {
+    if (!Array.isArray(categories) || !dataPoints) return [];
+    
+    return categories
+        .filter(category => dataPoints.some(point => point.category === category.name))
+        .map(category => ({
+            name: category.name,
+            color: getPointColor(templateName, category.color),
+            shape: shapeByCategory ? getCategoryShape(category) : 'circle'
+        }));
+}
+
+/**
+ * Lay out category legend items in centred rows that fit the available width
+ * @returns {Object|null} - Layout {rows, rowHeight, height} or null if there are no items
+ */
+function layoutCategoryLegend(items, template, maxWidth) {
+    if (items.length === 0) return null;
+    
+    const fontSize = template.labelFontSize;
+    const swatchSize = 12;
+    const itemGap = 20;
+    const rowHeight = fontSize + 12;
+    
+    const rows = [];
+    let row = { items: [], width: 0 };
+    
+    items.forEach(item => {
+        const width = swatchSize + 6 + measureTextWidth(item.name, fontSize, 500);
+        const widthWithGap = row.items.length ? width + itemGap : width;
+        
+        if (row.items.length && row.width + widthWithGap > maxWidth) {
+            rows.push(row);
+            row = { items: [], width: 0 };
+        }
+        
+        row.items.push({ ...item, width });
+        row.width += row.items.length > 1 ? width + itemGap : width;
+    });
+    rows.push(row);
+    
+    return {
+        rows,
+        swatchSize,
+        itemGap,
+        rowHeight,
+        height: rows.length * rowHeight + 20
+    };
+}
+
+/**
+ * Generate colour-coded category legend
+ */
+function generateCategoryLegend(layout, template, dims, y) {
+    const fontSize = template.labelFontSize;
+    const { swatchSize, itemGap, rowHeight } = layout;
+    
+    let svg = '<g class="category-legend">';
+    
+    layout.rows.forEach((row, rowIndex) => {
+        const centerY = y + 10 + rowIndex * rowHeight + rowHeight / 2;
+        let x = (dims.width - row.width) / 2;
+        
+        row.items.forEach(item => {
+            svg += renderMarker(item.shape, x + swatchSize / 2, centerY, swatchSize / 2, `fill="${item.color}" 
+                stroke="${template.pointStroke}" 
+                stroke-width="1" 
+                stroke-linejoin="round"`);
+            svg += `<text x="${x + swatchSize + 6}" y="${centerY + fontSize / 3}" 
+                font-family="Inter, sans-serif" 
+                font-size="${fontSize}" 
+                font-weight="500"
+                fill="${template.textColor}">${escapeXml(item.name)}</text>`;
+            x += item.width + itemGap;
+        });
+    });
+    
+    svg += '</g>';
+    return svg;
+}
+
+/**
+ * Check whether a data point has a previous position to show movement from
+ */
+function hasMovement(point) {
+    return !!point.from && typeof point.from.x === 'number' && typeof point.from.y === 'number';
+}
+
+/**
+ * Generate ghost markers at previous positions with curved arrows to the current ones
+ */
+function generateMovements(points, template) {
+    const arrowSize = 8;
+    let svg = '';
+    
+    points.forEach(point => {
+        if (!point.from) return;
+        
+        const { from, radius } = point;
+        const dx = point.x - from.x;
+        const dy = point.y - from.y;
+        const distance = Math.hypot(dx, dy);
+        
+        // Faded ghost marker at the previous position
+        svg += renderMarker(point.shape, from.x, from.y, radius, `class="movement-ghost" 
+            fill="${point.color}" 
+            fill-opacity="0.25" 
+            stroke="${point.color}" 
+            stroke-width="1.5" 
+            stroke-dasharray="3,2" 
+            opacity="0.8"`);
+        
+        // No arrow when the point has not visibly moved
+        if (distance <= radius * 2 + arrowSize) return;
+        
+        // Bend the arrow to one side of the straight line between the positions
+        const controlX = from.x + dx / 2 - dy * 0.2;
+        const controlY = from.y + dy / 2 + dx * 0.2;
+        
+        // Start at the ghost's edge and stop at the current marker's edge
+        const startAngle = Math.atan2(controlY - from.y, controlX - from.x);
+        const endAngle = Math.atan2(point.y - controlY, point.x - controlX);
+        const startX = from.x + Math.cos(startAngle) * radius;
+        const startY = from.y + Math.sin(startAngle) * radius;
+        const tipX = point.x - Math.cos(endAngle) * (radius + 2);
+        const tipY = point.y - Math.sin(endAngle) * (radius + 2);
+        const endX = tipX - Math.cos(endAngle) * arrowSize;
+        const endY = tipY - Math.sin(endAngle) * arrowSize;
+        
+        svg += `<path class="movement-arrow" d="M ${startX} ${startY} Q ${controlX} ${controlY} ${endX} ${endY}" 
+            fill="none" 
+            stroke="${point.color}" 
+            stroke-width="2" 
+            opacity="0.7" />`;
+        
+        // Arrowhead along the curve's final direction
+        const spread = Math.PI / 7;
+        svg += `<polygon points="${tipX},${tipY} 
+            ${tipX - Math.cos(endAngle - spread) * arrowSize * 1.3},${tipY - Math.sin(endAngle - spread) * arrowSize * 1.3} 
+            ${tipX - Math.cos(endAngle + spread) * arrowSize * 1.3},${tipY - Math.sin(endAngle + spread) * arrowSize * 1.3}" 
+            fill="${point.color}" 
+            opacity="0.7" />`;
+    });
+    
+    return svg;
+}
+
+/**
+ * Check whether a data point carries a usable bubble size
+ */
+function isSizeValue(size) {
+    return typeof size === 'number' && !isNaN(size) && size >= 0;
+}
+
+/**
+ * Create an area-proportional bubble size scale
+ * Maps size values onto radii between the template's min and max point radius
+ * @param {Array} dataPoints - Data points, some of which may have a size
+ * @param {Object} template - Template configuration
+ * @returns {Object|null} - Scale {maxSize, radius(size)} or null if no point has a size
+ */
+function createSizeScale(dataPoints, template) {
+    const sizes = (dataPoints || []).map(point => point.size).filter(isSizeValue);
+    if (sizes.length === 0) return null;
+    
+    const maxSize = Math.max(...sizes);
+    const minArea = template.pointMinRadius * template.pointMinRadius;
+    const maxArea = template.pointMaxRadius * template.pointMaxRadius;
+    
+    return {
+        maxSize,
+        radius(size) {
+            const ratio = maxSize > 0 ? Math.min(size / maxSize, 1) : 0;
+            return Math.sqrt(minArea + (maxArea - minArea) * ratio);
+        }
+    };
+}
+
+/**
+ * Get the height reserved for the bubble size legend
+ */
+function getSizeLegendHeight(template) {
+    return template.pointMaxRadius * 2 + template.labelFontSize + 28;
+}
+
+/**
+ * Generate bubble size legend with reference circles below the plot
+ */
+function generateSizeLegend(sizeScale, template, dims, y) {
+    const fontSize = template.labelFontSize;
+    const gap = 24;
+    const values = [sizeScale.maxSize / 4, sizeScale.maxSize / 2, sizeScale.maxSize]
+        .map(value => Number(value.toPrecision(2)))
+        .filter((value, index, all) => all.indexOf(value) === index);
+    const radii = values.map(value => sizeScale.radius(value));
+    
+    const caption = 'Size';
+    const captionWidth = measureTextWidth(caption, fontSize, 600) + gap;
+    const totalWidth = captionWidth + radii.reduce((sum, r) => sum + r * 2, 0) + gap * (radii.length - 1);
+    const baseline = y + 10 + template.pointMaxRadius * 2;
+    
+    let x = (dims.width - totalWidth) / 2;
+    
+    let svg = '<g class="size-legend">';
+    svg += `<text x="${x}" y="${baseline - template.pointMaxRadius + fontSize / 3}" 
+        font-family="Inter, sans-serif" 
+        font-size="${fontSize}" 
+        font-weight="600"
+        fill="${template.textColor}">${caption}</text>`;
+    x += captionWidth;
+    
+    // Reference circles share a baseline so their sizes compare at a glance
+    values.forEach((value, index) => {
+        const r = radii[index];
+        svg += `<circle cx="${x + r}" cy="${baseline - r}" r="${r}" 
+            fill="none" 
+            stroke="${template.textColor}" 
+            stroke-width="1" 
+            opacity="0.6" />`;
+        svg += `<text x="${x + r}" y="${baseline + fontSize + 6}" 
+            text-anchor="middle" 
+            font-family="Inter, sans-serif" 
+            font-size="${fontSize - 1}" 
+            fill="${template.textColor}"
+            opacity="0.8">${value}</text>`;
+        x += r * 2 + gap;
     });
     
     svg += '</g>';
@@ -409,7 +1617,7 @@ function generateDataPoints(dataPoints, template, plotArea, templateName) {
 function generateFooter(template, dims) {
     const y = dims.height - (dims.footerHeight / 2) + 5;
     const logoSize = 24;
-    const logoY = dims.height - dims.footerHeight + 15;
+    const logoY = y - 20; // Level with the app name
     
     return `<g class="footer">
         <line x1="0" y1="${dims.height - dims.footerHeight}" 
@@ -438,23 +1646,111 @@ function generateFooter(template, dims) {
     </g>`;
 }
 
+/**
+ * Name a cell for the text description
+ * Cells on axes split in two or three are named by their bands (e.g.,
+ * "High Impact/Low Effort"), after the cell's own title if it has one;
+ * finer grids fall back to the cell's position.
+ * @param {Object} cell - Cell {row, column, index} from getCell
+ * @param {Object} layout - Grid layout from getGridLayout
+ * @param {Array<Object>} cells - Cell settings in reading order
+ * @param {string} xAxisName - X-axis name
+ * @param {string} yAxisName - Y-axis name
+ * @returns {string} - Cell name
+ */
+export function describeCell(cell, layout, cells, xAxisName, yAxisName) {
+    const { rows, columns, axes } = layout;
+    let name = getCellName(cell.row, cell.column, rows, columns);
+    
+    if ((rows === 1 || AXIS_LEVEL_NAMES[rows]) && (columns === 1 || AXIS_LEVEL_NAMES[columns])) {
+        // Levels count up the axis values, so reversed axes flip them
+        const yLevel = axes.y && axes.y.reversed ? cell.row : rows - 1 - cell.row;
+        const xLevel = axes.x && axes.x.reversed ? columns - 1 - cell.column : cell.column;
+        const bands = [
+            rows > 1 ? `${AXIS_LEVEL_NAMES[rows][yLevel]} ${yAxisName}` : '',
+            columns > 1 ? `${AXIS_LEVEL_NAMES[columns][xLevel]} ${xAxisName}` : ''
+        ].filter(Boolean);
+        if (bands.length > 0) name = bands.join('/');
+    }
+    
+    const title = cells[cell.index] ? (cells[cell.index].title || '').trim() : '';
+    return title ? `${title} (${name})` : name;
+}
+
+/**
+ * Describe a matrix in plain language
+ * Gives the number of items, then each cell's items in reading order, e.g.
+ * "Roadmap: 12 items. 4 in High Impact/High Effort: A, B, C, D. ..."
+ * Sets of more than MAX_DESCRIBED_ITEMS items only get counts per cell.
+ * @param {Object} data - Matrix data
+ * @returns {string} - Text description
+ */
+export function describeMatrix(data) {
+    const title = (data.title || '').trim() || 'Untitled Matrix';
+    const xAxisName = (data.xAxisName || '').trim() || 'X Axis';
+    const yAxisName = (data.yAxisName || '').trim() || 'Y Axis';
+    const points = (data.dataPoints || []).filter(isDrawnPoint);
+    const itemCount = count => `${count} ${count === 1 ? 'item' : 'items'}`;
+    
+    if (points.length === 0) {
+        return `${title}: no items yet, plotted by ${xAxisName} (across) and ${yAxisName} (up).`;
+    }
+    
+    const layout = getGridLayout(data);
+    const cells = data.cells || quadrantsToCells(data.quadrants);
+    const labels = Array.from({ length: layout.rows * layout.columns }, () => []);
+    points.forEach(point => {
+        labels[getCell(point.x, point.y, layout).index].push(point.label.trim());
+    });
+    
+    const listed = points.length <= MAX_DESCRIBED_ITEMS;
+    const sentences = [`${title}: ${itemCount(points.length)}, plotted by ${xAxisName} (across) and ${yAxisName} (up).`];
+    if (!listed) {
+        sentences.push('Too many to name, so items are counted per cell.');
+    }
+    const empty = [];
+    labels.forEach((cellLabels, index) => {
+        const name = describeCell(
+            { row: Math.floor(index / layout.columns), column: index % layout.columns, index },
+            layout, cells, xAxisName, yAxisName
+        );
+        if (cellLabels.length === 0) {
+            empty.push(name);
+        } else if (listed) {
+            sentences.push(`${cellLabels.length} in ${name}: ${cellLabels.join(', ')}.`);
+        } else {
+            sentences.push(`${cellLabels.length} in ${name}.`);
+        }
+    });
+    if (empty.length > 0) {
+        sentences.push(`None in ${empty.join('; ')}.`);
+    }
+    
+    return sentences.join(' ');
+}
+
 /**
  * Render SVG to DOM element
+ * The SVG already in the container is patched rather than replaced (see
+ * renderer.js); the markup itself stays the same as for export.
  * @param {string} svgString - SVG markup
  * @param {HTMLElement} container - Container element
  */
 export function renderMatrix(svgString, container) {
     if (!container) return;
-    container.innerHTML = svgString;
+    renderSVG(svgString, container);
 }
 
 /**
  * Update accessible data table
+ * Rows are kept by point id and only rewritten when what they show changes,
+ * so re-rendering (e.g., while dragging one point) stays cheap for large sets.
  * @param {Array} dataPoints - Array of data points
  * @param {string} xAxisName - X-axis name
  * @param {string} yAxisName - Y-axis name
+ * @param {Object} layout - Grid layout from getGridLayout (defaults to a 2×2 grid)
  */
-export function updateAccessibleTable(dataPoints, xAxisName, yAxisName) {
+export function updateAccessibleTable(dataPoints, xAxisName, yAxisName, layout = getGridLayout({})) {
     const tbody = document.getElementById('accessibleDataBody');
     const xHeader = document.getElementById('accXAxis');
     const yHeader = document.getElementById('accYAxis');
@@ -465,26 +1761,72 @@ export function updateAccessibleTable(dataPoints, xAxisName, yAxisName) {
     if (xHeader) xHeader.textContent = xAxisName || 'X Value';
     if (yHeader) yHeader.textContent = yAxisName || 'Y Value';
     
-    // Clear existing rows
-    tbody.innerHTML = '';
+    const previous = accessibleRows.get(tbody) || new Map();
+    const rows = new Map();
+    accessibleRows.set(tbody, rows);
     
     if (!dataPoints || dataPoints.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; opacity: 0.6;">No data points added yet</td></tr>';
+        if (previous.size > 0 || tbody.rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; opacity: 0.6;">No data points added yet</td></tr>';
+        }
         return;
     }
     
-    // Add rows
-    dataPoints.forEach(point => {
-        const row = document.createElement('tr');
-        const quadrant = getQuadrant(point.x, point.y);
+    const cellName = (x, y) => {
+        const cell = getCell(x, y, layout);
+        return getCellName(cell.row, cell.column, layout.rows, layout.columns);
+    };
+    
+    dataPoints.forEach((point, index) => {
+        const quadrant = cellName(point.x, point.y);
+        
+        // Describe movement from the previous position, highlighting cell changes
+        let movement = '—';
+        if (hasMovement(point)) {
+            const fromQuadrant = cellName(point.from.x, point.from.y);
+            movement = fromQuadrant === quadrant
+                ? `Moved within ${quadrant} (from ${point.from.x}, ${point.from.y})`
+                : `${fromQuadrant} → ${quadrant}`;
+        }
         
-        row.innerHTML = `
-            <td>${sanitizeInput(point.label)}</td>
-            <td>${point.x}</td>
-            <td>${point.y}</td>
-            <td>${quadrant}</td>
-        `;
+        const values = [point.label, point.x, point.y, quadrant, movement].map(String);
+        const key = point.id || `#${index}`;
+        const existing = previous.get(key);
         
-        tbody.appendChild(row);
+        if (existing && !rows.has(key)) {
+            values.forEach((value, column) => {
+                if (value !== existing.values[column]) existing.row.cells[column].textContent = value;
+            });
+            rows.set(key, { row: existing.row, values });
+        } else {
+            const row = document.createElement('tr');
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            rows.set(key, { row, values });
+        }
+    });
+    
+    // Put the rows in order in one pass, dropping rows of removed points (and
+    // the empty message) on the way
+    const kept = new Set([...rows.values()].map(({ row }) => row));
+    let current = tbody.firstElementChild;
+    const dropUntil = (row) => {
+        while (current && current !== row && !kept.has(current)) {
+            const next = current.nextElementSibling;
+            current.remove();
+            current = next;
+        }
+    };
+    kept.forEach(row => {
+        dropUntil(row);
+        if (current === row) {
+            current = current.nextElementSibling;
+        } else {
+            tbody.insertBefore(row, current);
+        }
     });
+    dropUntil(null);
 }
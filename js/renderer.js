@@ -0,0 +1,183 @@
+/**
+ * Think2x2 Preview Renderer
+ * Keeps the preview SVG in the page and patches it to match each newly
+ * generated matrix, instead of replacing it wholesale. Unchanged elements
+ * stay put, so focus, hover and pointer capture survive re-renders (e.g.,
+ * while typing or dragging a point).
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Attributes each element was last rendered with. Only these are updated or
+// removed, so attributes the app adds afterwards (e.g., tabindex, or the
+// zoomed viewBox) are left alone until the matrix itself changes them.
+const renderedAttributes = new WeakMap();
+
+/**
+ * Parse SVG markup into a detached document
+ * @param {string} svgString - Complete SVG markup from generateMatrix
+ * @returns {Element} - Parsed <svg> element
+ */
+function parseSVG(svgString) {
+    const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+    const root = doc.documentElement;
+    
+    if (!root || root.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Matrix markup is not valid SVG');
+    }
+    
+    return root;
+}
+
+/**
+ * Get the key that matches a child to its counterpart in the next render
+ * Data points are keyed by id, so they keep their element when points are
+ * added, removed or reordered. Everything else is matched by its position
+ * among siblings of the same kind.
+ * @param {Node} node - Child node
+ * @param {Map<string, number>} counts - Siblings of each kind seen so far
+ * @returns {string} - Key, unique among the siblings
+ */
+function getNodeKey(node, counts) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+        const id = node.getAttribute('data-point-id');
+        if (id !== null && !counts.has(`id:${id}`)) {
+            counts.set(`id:${id}`, 1);
+            return `id:${id}`;
+        }
+    }
+    
+    const kind = node.nodeType === Node.ELEMENT_NODE ? node.localName : `#${node.nodeType}`;
+    const count = counts.get(kind) || 0;
+    counts.set(kind, count + 1);
+    return `${kind}:${count}`;
+}
+
+/**
+ * Build a live element (or text node) from a parsed one
+ * @param {Node} source - Parsed node
+ * @returns {Node} - New node for the page
+ */
+function buildNode(source) {
+    if (source.nodeType !== Node.ELEMENT_NODE) {
+        return document.createTextNode(source.nodeValue);
+    }
+    
+    const element = document.createElementNS(source.namespaceURI || SVG_NS, source.localName);
+    const attributes = new Map();
+    [...source.attributes].forEach(attribute => {
+        setAttribute(element, attribute);
+        attributes.set(attribute.name, attribute.value);
+    });
+    renderedAttributes.set(element, attributes);
+    
+    source.childNodes.forEach(child => element.appendChild(buildNode(child)));
+    return element;
+}
+
+/**
+ * Set an attribute, keeping its namespace (e.g., xlink:href)
+ * @param {Element} element - Live element
+ * @param {Attr} attribute - Parsed attribute
+ */
+function setAttribute(element, attribute) {
+    if (attribute.namespaceURI) {
+        element.setAttributeNS(attribute.namespaceURI, attribute.name, attribute.value);
+    } else {
+        element.setAttribute(attribute.name, attribute.value);
+    }
+}
+
+/**
+ * Update a live element's attributes to match a parsed one
+ * @param {Element} element - Live element
+ * @param {Element} source - Parsed element
+ */
+function patchAttributes(element, source) {
+    const previous = renderedAttributes.get(element) || new Map();
+    const next = new Map();
+    
+    [...source.attributes].forEach(attribute => {
+        next.set(attribute.name, attribute.value);
+        if (previous.get(attribute.name) !== attribute.value) {
+            setAttribute(element, attribute);
+        }
+    });
+    
+    previous.forEach((value, name) => {
+        if (!next.has(name)) element.removeAttribute(name);
+    });
+    
+    renderedAttributes.set(element, next);
+}
+
+/**
+ * Update a live element's children to match a parsed element's children
+ * Matching children are patched in place and only moved when their order
+ * changes; the rest are created or removed.
+ * @param {Element} element - Live element
+ * @param {Element} source - Parsed element
+ */
+function patchChildren(element, source) {
+    const liveCounts = new Map();
+    const live = new Map();
+    element.childNodes.forEach(child => live.set(getNodeKey(child, liveCounts), child));
+    
+    const nextCounts = new Map();
+    const children = [...source.childNodes].map(child => {
+        const key = getNodeKey(child, nextCounts);
+        const existing = live.get(key);
+        live.delete(key);
+        return patchNode(existing, child);
+    });
+    
+    // Remove leftovers first, so children that keep their order are not moved
+    live.forEach(child => child.remove());
+    
+    children.forEach((child, index) => {
+        const current = element.childNodes[index];
+        if (current !== child) {
+            element.insertBefore(child, current || null);
+        }
+    });
+}
+
+/**
+ * Patch a live node to match a parsed one, or build a new one if they differ in kind
+ * @param {Node|undefined} node - Live node matched by key, if any
+ * @param {Node} source - Parsed node
+ * @returns {Node} - Node to keep in the page
+ */
+function patchNode(node, source) {
+    const sameKind = node && node.nodeType === source.nodeType &&
+        (source.nodeType !== Node.ELEMENT_NODE ||
+            (node.localName === source.localName && renderedAttributes.has(node)));
+    if (!sameKind) return buildNode(source);
+    
+    if (source.nodeType !== Node.ELEMENT_NODE) {
+        if (node.nodeValue !== source.nodeValue) node.nodeValue = source.nodeValue;
+        return node;
+    }
+    
+    patchAttributes(node, source);
+    patchChildren(node, source);
+    return node;
+}
+
+/**
+ * Render SVG markup into a container, reusing the SVG already there
+ * The first render (or one after the container held something else) builds
+ * the SVG from scratch; later renders patch it with the differences.
+ * @param {string} svgString - Complete SVG markup from generateMatrix
+ * @param {HTMLElement} container - Container element
+ */
+export function renderSVG(svgString, container) {
+    const source = parseSVG(svgString);
+    const current = container.firstElementChild;
+    
+    if (current && container.childNodes.length === 1 && renderedAttributes.has(current)) {
+        patchNode(current, source);
+    } else {
+        container.replaceChildren(buildNode(source));
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * Think2x2 Axis Scales
+ * Maps data values on each axis to SVG coordinates and formats tick labels
+ */
+
+/**
+ * Default axis configuration (the classic linear 0-100 scale, low to high,
+ * without tick labels)
+ */
+export const DEFAULT_AXIS = {
+    min: 0,
+    max: 100,
+    prefix: '',
+    suffix: '',
+    ticks: 0,
+    type: 'linear',
+    reversed: false
+};
+
+// Supported scale types
+export const SCALE_TYPES = ['linear', 'log'];
+
+// Upper bound for the tick count setting
+export const MAX_TICKS = 20;
+
+// Most power-of-ten grid lines drawn on a logarithmic axis without ticks
+const MAX_DECADE_LINES = 12;
+
+/**
+ * Fill in missing axis settings with defaults
+ * @param {Object} axis - Partial axis configuration
+ * @returns {Object} - Complete axis configuration
+ */
+export function normalizeAxis(axis) {
+    return { ...DEFAULT_AXIS, ...(axis || {}) };
+}
+
+/**
+ * Check whether an axis uses the default settings
+ * @param {Object} axis - Axis configuration
+ * @returns {boolean} - True if the axis matches DEFAULT_AXIS
+ */
+export function isDefaultAxis(axis) {
+    const config = normalizeAxis(axis);
+    return Object.keys(DEFAULT_AXIS).every(key => config[key] === DEFAULT_AXIS[key]);
+}
+
+/**
+ * Check whether an axis is logarithmic
+ * Log scales need a positive range; anything else falls back to linear.
+ * @param {Object} axis - Axis configuration
+ * @returns {boolean} - True if values are mapped logarithmically
+ */
+export function isLogAxis(axis) {
+    const { type, min } = normalizeAxis(axis);
+    return type === 'log' && min > 0;
+}
+
+/**
+ * Get the value in the middle of an axis range
+ * For log axes this is the geometric mean, which sits in the visual middle.
+ * @param {Object} axis - Axis configuration
+ * @returns {number} - Midpoint value
+ */
+export function getAxisMidpoint(axis) {
+    const { min, max } = normalizeAxis(axis);
+    return isLogAxis(axis) 
+        ? Number(Math.sqrt(min * max).toPrecision(12)) 
+        : (min + max) / 2;
+}
+
+/**
+ * Get values evenly spaced along an axis as drawn
+ * Log axes space them evenly in log space, rounded to two significant figures.
+ * @param {Object} axis - Axis configuration
+ * @param {number} intervals - Number of intervals between min and max
+ * @returns {Array<number>} - Values from min to max inclusive
+ */
+function getEvenValues(axis, intervals) {
+    const { min, max } = normalizeAxis(axis);
+    const log = isLogAxis(axis);
+    const start = log ? Math.log10(min) : min;
+    const step = ((log ? Math.log10(max) : max) - start) / intervals;
+    
+    const values = [];
+    for (let i = 0; i <= intervals; i++) {
+        if (i === 0 || i === intervals) {
+            values.push(i === 0 ? min : max);
+        } else if (log) {
+            values.push(Number(Math.pow(10, start + step * i).toPrecision(2)));
+        } else {
+            // Round away floating point noise (e.g., 0.30000000000000004)
+            values.push(Number((start + step * i).toPrecision(12)));
+        }
+    }
+    return values;
+}
+
+/**
+ * Get evenly spaced tick values for an axis
+ * @param {Object} axis - Axis configuration
+ * @returns {Array<number>} - Tick values from min to max, empty if ticks are off
+ */
+export function getTickValues(axis) {
+    const { ticks } = normalizeAxis(axis);
+    return ticks ? getEvenValues(axis, ticks) : [];
+}
+
+/**
+ * Get values for background grid lines
+ * Uses the ticks when set; otherwise quarters, or each power of ten on log axes.
+ * @param {Object} axis - Axis configuration
+ * @returns {Array<number>} - Grid values (may include min and max)
+ */
+export function getGridValues(axis) {
+    const ticks = getTickValues(axis);
+    if (ticks.length > 0) return ticks;
+    
+    if (isLogAxis(axis)) {
+        const { min, max } = normalizeAxis(axis);
+        const decades = [];
+        for (let exponent = Math.ceil(Math.log10(min)); exponent <= Math.floor(Math.log10(max)); exponent++) {
+            decades.push(Math.pow(10, exponent));
+        }
+        if (decades.length > 0 && decades.length <= MAX_DECADE_LINES) {
+            return decades;
+        }
+    }
+    
+    return getEvenValues(axis, 4);
+}
+
+/**
+ * Format a value with the axis unit prefix and suffix
+ * Large ranges use compact notation (e.g., $5M)
+ * @param {number} value - Value to format
+ * @param {Object} axis - Axis configuration
+ * @returns {string} - Formatted value
+ */
+export function formatAxisValue(value, axis) {
+    const { min, max, prefix, suffix } = normalizeAxis(axis);
+    const largest = Math.max(Math.abs(min), Math.abs(max));
+    
+    const formatter = new Intl.NumberFormat('en-US', largest >= 10000
+        ? { notation: 'compact', maximumFractionDigits: 1 }
+        : { maximumFractionDigits: 2 });
+    
+    const sign = value < 0 ? '-' : '';
+    return `${sign}${prefix}${formatter.format(Math.abs(value))}${suffix}`;
+}
+
+/**
+ * Round a value to a precision that suits the axis
+ * Linear axes round to about a hundredth of the range (whole numbers on a
+ * 0-100 axis); log axes keep three significant figures. The result stays
+ * within the axis range.
+ * @param {number} value - Value to round
+ * @param {Object} axis - Axis configuration
+ * @returns {number} - Rounded value
+ */
+export function roundAxisValue(value, axis) {
+    const { min, max } = normalizeAxis(axis);
+    const decimals = Math.max(0, -Math.floor(Math.log10((max - min) / 100)));
+    const rounded = isLogAxis(axis) 
+        ? Number(value.toPrecision(3)) 
+        : Number(value.toFixed(Math.min(decimals, 20)));
+    
+    // Rounding must not push the value past an unrounded end of the range
+    return Math.min(Math.max(rounded, min), max);
+}
+
+/**
+ * Create a scale mapping axis values onto a pixel range
+ * Values outside the axis range are clamped to its ends. Reversed axes
+ * swap the ends, so the maximum is drawn at pixelStart.
+ * @param {Object} axis - Axis configuration
+ * @param {number} pixelStart - Pixel position of the low end of the axis
+ * @param {number} pixelEnd - Pixel position of the high end of the axis
+ * @returns {Object} - Scale {axis, toPixel, toValue, ticks, grid, format}
+ */
+export function createScale(axis, pixelStart, pixelEnd) {
+    const config = normalizeAxis(axis);
+    const { min, max } = config;
+    const log = isLogAxis(config);
+    const clampValue = value => Math.min(Math.max(value, min), max);
+    
+    // Work in log space for log axes so equal ratios get equal distances
+    const transform = value => log ? Math.log10(value) : value;
+    const untransform = value => log ? Math.pow(10, value) : value;
+    const low = transform(min);
+    const high = transform(max);
+    
+    const [from, to] = config.reversed ? [pixelEnd, pixelStart] : [pixelStart, pixelEnd];
+    
+    return {
+        axis: config,
+        toPixel(value) {
+            const t = (transform(clampValue(value)) - low) / (high - low);
+            return from + t * (to - from);
+        },
+        toValue(pixel) {
+            const t = (pixel - from) / (to - from);
+            return clampValue(untransform(low + t * (high - low)));
+        },
+        ticks() {
+            return getTickValues(config);
+        },
+        grid() {
+            return getGridValues(config);
+        },
+        format(value) {
+            return formatAxisValue(value, config);
+        }
+    };
+}
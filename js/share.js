@@ -3,7 +3,46 @@
  * Handles URL encoding/decoding and shareable links
  */
 
-import { copyToClipboard, showToast, log } from './utils.js';
+import { copyToClipboard, showToast, log, isSafeUrl } from './utils.js';
+import { 
+    DEFAULT_GRID, 
+    MAX_GRID_SIZE, 
+    normalizeGrid, 
+    isDefaultGrid, 
+    resizeCells, 
+    quadrantsToCells 
+} from './grid.js';
+import { 
+    DEFAULT_AXIS, 
+    MAX_TICKS, 
+    SCALE_TYPES, 
+    normalizeAxis, 
+    getAxisMidpoint, 
+    isDefaultAxis 
+} from './scales.js';
+import { 
+    DEFAULT_TEXT_LAYOUT, 
+    TEXT_OVERFLOW_MODES, 
+    POINT_LABEL_MODES, 
+    normalizeTextLayout, 
+    isDefaultTextLayout 
+} from './text.js';
+import { 
+    DEFAULT_CANVAS, 
+    CANVAS_PRESETS, 
+    CUSTOM_CANVAS, 
+    normalizeCanvas, 
+    isDefaultCanvas 
+} from './canvas.js';
+import { MAX_ANNOTATIONS, MAX_ANNOTATION_TEXT, isAnnotationType } from './annotations.js';
+import { DEFAULT_TEMPLATE, isValidTemplate } from './templates.js';
+import { isMarkerShape } from './markers.js';
+import { 
+    DEFAULT_DENSITY, 
+    normalizeDensity, 
+    isDefaultDensity, 
+    getPointLimit 
+} from './density.js';
 
 /**
  * Encode matrix state to URL-safe string
@@ -21,13 +60,105 @@ export function encodeState(data) {
             x: data.xAxisName || '',
             y: data.yAxisName || '',
             tm: data.template || 'modern',
-            p: (data.dataPoints || []).map(point => ({
-                l: point.label,
-                x: point.x,
-                y: point.y
-            }))
+            p: (data.dataPoints || []).map(point => {
+                const encoded = {
+                    l: point.label,
+                    x: point.x,
+                    y: point.y
+                };
+                if (typeof point.size === 'number') encoded.s = point.size;
+                const categoryIndex = (data.categories || [])
+                    .findIndex(category => category.name === point.category);
+                if (point.category && categoryIndex !== -1) encoded.c = categoryIndex;
+                if (point.from) encoded.f = [point.from.x, point.from.y];
+                if (point.notes) encoded.n = point.notes;
+                if (point.owner) encoded.o = point.owner;
+                if (point.status) encoded.st = point.status;
+                if (point.link) encoded.k = point.link;
+                if (isMarkerShape(point.shape)) encoded.m = point.shape;
+                return encoded;
+            })
         };
         
+        // Grid size as [rows, columns], only when not 2×2
+        if (!isDefaultGrid(data.grid)) {
+            const { rows, columns } = normalizeGrid(data.grid);
+            state.g = [rows, columns];
+        }
+        
+        // Cell names as [title, description] pairs in reading order (plus a colour
+        // when one is set), only when any are set
+        const cells = (data.cells || quadrantsToCells(data.quadrants)).map(cell => {
+            const encoded = [cell.title || '', cell.description || ''];
+            if (cell.color) encoded.push(cell.color);
+            return encoded;
+        });
+        if (cells.some(([title, description, color]) => title || description || color)) {
+            state.q = cells;
+        }
+        
+        // Cell statistics overlay, only when shown
+        if (data.showStats) state.o = 1;
+        
+        // Categories as [name, colour index] pairs, referenced by index from each point
+        if (data.categories && data.categories.length > 0) {
+            state.c = data.categories.map(category => [category.name, category.color]);
+        }
+        
+        // Marker shapes picked by category, only when turned on
+        if (data.shapeByCategory) state.m = 1;
+        
+        // Axis settings as [min, max, prefix, suffix, ticks, type, reversed],
+        // only when changed from the linear 0-100 default
+        const axes = data.axes || {};
+        if (!isDefaultAxis(axes.x) || !isDefaultAxis(axes.y)) {
+            state.a = [axes.x, axes.y].map(axis => {
+                const { min, max, prefix, suffix, ticks, type, reversed } = normalizeAxis(axis);
+                return [min, max, prefix, suffix, ticks, type, reversed ? 1 : 0];
+            });
+        }
+        
+        // Divider positions, only when moved from the middle of each axis
+        const midX = getAxisMidpoint(axes.x);
+        const midY = getAxisMidpoint(axes.y);
+        const dividers = data.dividers || { x: midX, y: midY };
+        if (dividers.x !== midX || dividers.y !== midY) {
+            state.d = [dividers.x, dividers.y];
+        }
+        
+        // Text layout as [ellipsis ? 1 : 0, label width] (plus 1 for numbered
+        // labels), only when not the default
+        if (!isDefaultTextLayout(data.textLayout)) {
+            const { overflow, labelWidth, labels } = normalizeTextLayout(data.textLayout);
+            state.w = [overflow === 'ellipsis' ? 1 : 0, labelWidth];
+            if (labels === 'numbered') state.w.push(1);
+        }
+        
+        // Annotations as [type, x1, y1, x2, y2, text] (plus a colour and an
+        // arrow flag when set)
+        if (data.annotations && data.annotations.length > 0) {
+            state.n = data.annotations.map(annotation => {
+                const { type, x1, y1, x2, y2, text, color, arrow } = annotation;
+                const encoded = [type, x1, y1, x2, y2, text || ''];
+                if (color || arrow) encoded.push(color || '');
+                if (arrow) encoded.push(1);
+                return encoded;
+            });
+        }
+        
+        // Density heatmap as [enabled, hide labels], only when not the default
+        if (!isDefaultDensity(data.density)) {
+            const { enabled, hideLabels } = normalizeDensity(data.density);
+            state.h = [enabled ? 1 : 0, hideLabels ? 1 : 0];
+        }
+        
+        // Canvas as a preset name, or [width, height] for a custom size,
+        // only when not the default square
+        if (!isDefaultCanvas(data.canvas)) {
+            const { preset, width, height } = normalizeCanvas(data.canvas);
+            state.z = preset === CUSTOM_CANVAS ? [width, height] : preset;
+        }
+        
         // Convert to JSON string
         const jsonString = JSON.stringify(state);
         
@@ -81,16 +212,51 @@ export function decodeState(encoded) {
         }
         
         // Convert back to full data format
+        const categories = Array.isArray(state.c) 
+            ? state.c.map(([name, color]) => ({ name, color })) 
+            : [];
+        const axes = {
+            x: decodeAxis(Array.isArray(state.a) ? state.a[0] : null),
+            y: decodeAxis(Array.isArray(state.a) ? state.a[1] : null)
+        };
+        const grid = Array.isArray(state.g) 
+            ? normalizeGrid({ rows: state.g[0], columns: state.g[1] }) 
+            : { ...DEFAULT_GRID };
         const data = {
             title: state.t || '',
             subtitle: state.s || '',
             xAxisName: state.x || '',
             yAxisName: state.y || '',
             template: state.tm || 'modern',
+            grid: grid,
+            cells: decodeCells(state.q, grid),
+            showStats: Boolean(state.o),
+            axes: axes,
+            dividers: Array.isArray(state.d) 
+                ? { x: state.d[0], y: state.d[1] } 
+                : { x: getAxisMidpoint(axes.x), y: getAxisMidpoint(axes.y) },
+            textLayout: Array.isArray(state.w) 
+                ? { overflow: state.w[0] ? 'ellipsis' : 'wrap', labelWidth: state.w[1], labels: state.w[2] ? 'numbered' : 'text' } 
+                : { ...DEFAULT_TEXT_LAYOUT },
+            canvas: decodeCanvas(state.z),
+            density: Array.isArray(state.h) 
+                ? { enabled: Boolean(state.h[0]), hideLabels: Boolean(state.h[1]) } 
+                : { ...DEFAULT_DENSITY },
+            annotations: Array.isArray(state.n) ? state.n.filter(Array.isArray).map(decodeAnnotation) : [],
+            categories: categories,
+            shapeByCategory: Boolean(state.m),
             dataPoints: (state.p || []).map(p => ({
                 label: p.l,
                 x: p.x,
                 y: p.y,
+                size: typeof p.s === 'number' ? p.s : null,
+                category: categories[p.c] ? categories[p.c].name : '',
+                from: Array.isArray(p.f) ? { x: p.f[0], y: p.f[1] } : null,
+                notes: p.n || '',
+                owner: p.o || '',
+                status: p.st || '',
+                link: p.k || '',
+                shape: p.m || '',
                 id: `point_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
             }))
         };
@@ -103,6 +269,79 @@ export function decodeState(encoded) {
     }
 }
 
+/**
+ * Decode cell names from their compact [title, description, colour] form
+ * Links from before N×M grids hold four pairs in quadrant order, which is
+ * the reading order of a 2×2 grid.
+ * @param {Array} encoded - Encoded cells in reading order
+ * @param {Object} grid - Grid size {rows, columns}
+ * @returns {Array<Object>} - Cells {title, description, color} in reading order
+ */
+function decodeCells(encoded, grid) {
+    return resizeCells(grid).map((cell, index) => {
+        const entry = Array.isArray(encoded) && Array.isArray(encoded[index]) ? encoded[index] : [];
+        return {
+            title: entry[0] || '',
+            description: entry[1] || '',
+            color: entry[2] || ''
+        };
+    });
+}
+
+/**
+ * Decode an annotation from its compact [type, x1, y1, x2, y2, text, colour, arrow] form
+ * @param {Array} encoded - Encoded annotation
+ * @returns {Object} - Annotation {id, type, x1, y1, x2, y2, text, color, arrow}
+ */
+function decodeAnnotation(encoded) {
+    const [type, x1, y1, x2, y2, text, color, arrow] = encoded;
+    return {
+        id: `annotation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        type,
+        x1,
+        y1,
+        x2,
+        y2,
+        text: text || '',
+        color: color || '',
+        arrow: Boolean(arrow)
+    };
+}
+
+/**
+ * Decode a canvas from its compact form (a preset name, or [width, height])
+ * @param {string|Array} encoded - Encoded canvas, or undefined for the default
+ * @returns {Object} - Canvas {preset, width, height}
+ */
+function decodeCanvas(encoded) {
+    if (Array.isArray(encoded)) {
+        return { preset: CUSTOM_CANVAS, width: encoded[0], height: encoded[1] };
+    }
+    return normalizeCanvas({ preset: encoded || DEFAULT_CANVAS.preset });
+}
+
+/**
+ * Decode an axis from its compact [min, max, prefix, suffix, ticks, type, reversed] form
+ * Links created before scale types existed omit the last two entries.
+ * @param {Array} encoded - Encoded axis, or null for the default 0-100 axis
+ * @returns {Object} - Axis configuration
+ */
+function decodeAxis(encoded) {
+    if (!Array.isArray(encoded)) {
+        return { ...DEFAULT_AXIS };
+    }
+    const [min, max, prefix, suffix, ticks, type, reversed] = encoded;
+    return normalizeAxis({ 
+        min, 
+        max, 
+        prefix, 
+        suffix, 
+        ticks, 
+        type: type || DEFAULT_AXIS.type, 
+        reversed: Boolean(reversed) 
+    });
+}
+
 /**
  * Generate shareable URL with current state
  * @param {Object} data - Matrix data
@@ -236,17 +475,102 @@ export function validateState(data) {
         errors.push('Invalid or missing template');
     }
     
+    if (data.grid) {
+        ['rows', 'columns'].forEach(key => {
+            const count = data.grid[key];
+            if (!Number.isInteger(count) || count < 1 || count > MAX_GRID_SIZE) {
+                errors.push(`Invalid grid ${key}`);
+            }
+        });
+    }
+    
+    if (data.cells && !Array.isArray(data.cells)) {
+        errors.push('Invalid cells');
+    }
+    
+    if (data.textLayout && (!TEXT_OVERFLOW_MODES.includes(data.textLayout.overflow) || 
+        typeof data.textLayout.labelWidth !== 'number' || 
+        (data.textLayout.labels !== undefined && !POINT_LABEL_MODES.includes(data.textLayout.labels)))) {
+        errors.push('Invalid text layout');
+    }
+    
+    if (data.density && (typeof data.density.enabled !== 'boolean' || typeof data.density.hideLabels !== 'boolean')) {
+        errors.push('Invalid density settings');
+    }
+    
+    if (data.canvas && (![...Object.keys(CANVAS_PRESETS), CUSTOM_CANVAS].includes(data.canvas.preset) || 
+        typeof data.canvas.width !== 'number' || typeof data.canvas.height !== 'number')) {
+        errors.push('Invalid canvas size');
+    }
+    
+    const axes = data.axes || {};
+    ['x', 'y'].forEach(name => {
+        const axis = axes[name];
+        if (axis && (typeof axis.min !== 'number' || typeof axis.max !== 'number' || axis.min >= axis.max)) {
+            errors.push(`Invalid ${name.toUpperCase()} axis range`);
+        }
+    });
+    const xAxis = normalizeAxis(axes.x);
+    const yAxis = normalizeAxis(axes.y);
+    const inRange = (value, axis) => typeof value === 'number' && value >= axis.min && value <= axis.max;
+    
+    if (data.dividers) {
+        if (!inRange(data.dividers.x, xAxis)) {
+            errors.push('Invalid X divider position');
+        }
+        if (!inRange(data.dividers.y, yAxis)) {
+            errors.push('Invalid Y divider position');
+        }
+    }
+    
+    if (data.categories && (!Array.isArray(data.categories) || 
+        data.categories.some(category => !category || typeof category.name !== 'string'))) {
+        errors.push('Invalid categories');
+    }
+    
     if (data.dataPoints && Array.isArray(data.dataPoints)) {
         data.dataPoints.forEach((point, index) => {
             if (!point.label || typeof point.label !== 'string') {
                 errors.push(`Point ${index + 1}: Invalid label`);
             }
-            if (typeof point.x !== 'number' || point.x < 0 || point.x > 100) {
+            if (!inRange(point.x, xAxis)) {
                 errors.push(`Point ${index + 1}: Invalid X value`);
             }
-            if (typeof point.y !== 'number' || point.y < 0 || point.y > 100) {
+            if (!inRange(point.y, yAxis)) {
                 errors.push(`Point ${index + 1}: Invalid Y value`);
             }
+            if (point.size != null && (typeof point.size !== 'number' || point.size < 0)) {
+                errors.push(`Point ${index + 1}: Invalid size`);
+            }
+            if (point.from != null && (typeof point.from.x !== 'number' || typeof point.from.y !== 'number')) {
+                errors.push(`Point ${index + 1}: Invalid previous position`);
+            }
+            if (['notes', 'owner', 'status', 'link'].some(field => point[field] != null && typeof point[field] !== 'string')) {
+                errors.push(`Point ${index + 1}: Invalid details`);
+            }
+            if (point.shape && !isMarkerShape(point.shape)) {
+                errors.push(`Point ${index + 1}: Invalid marker shape`);
+            }
+        });
+    }
+    
+    if (data.annotations && !Array.isArray(data.annotations)) {
+        errors.push('Invalid annotations');
+    } else if (data.annotations) {
+        data.annotations.forEach((annotation, index) => {
+            if (!annotation || !isAnnotationType(annotation.type)) {
+                errors.push(`Annotation ${index + 1}: Invalid type`);
+                return;
+            }
+            // Text boxes only use the first position
+            const needsEnd = annotation.type !== 'text';
+            if (!inRange(annotation.x1, xAxis) || !inRange(annotation.y1, yAxis) || 
+                (needsEnd && (!inRange(annotation.x2, xAxis) || !inRange(annotation.y2, yAxis)))) {
+                errors.push(`Annotation ${index + 1}: Invalid position`);
+            }
+            if (annotation.text != null && typeof annotation.text !== 'string') {
+                errors.push(`Annotation ${index + 1}: Invalid text`);
+            }
         });
     }
     
@@ -265,33 +589,155 @@ export function validateState(data) {
 export function sanitizeState(data) {
     if (!data) return null;
     
+    const xAxis = sanitizeAxis(data.axes && data.axes.x);
+    const yAxis = sanitizeAxis(data.axes && data.axes.y);
+    const clampX = value => Math.max(xAxis.min, Math.min(xAxis.max, value));
+    const clampY = value => Math.max(yAxis.min, Math.min(yAxis.max, value));
+    
     const sanitized = {
         title: (data.title || '').substring(0, 100),
         subtitle: (data.subtitle || '').substring(0, 100),
         xAxisName: (data.xAxisName || 'X Axis').substring(0, 50),
         yAxisName: (data.yAxisName || 'Y Axis').substring(0, 50),
-        template: ['minimal', 'modern', 'vibrant'].includes(data.template) 
+        template: isValidTemplate(data.template) 
             ? data.template 
-            : 'modern',
+            : DEFAULT_TEMPLATE,
+        grid: normalizeGrid(data.grid),
+        cells: [],
+        showStats: Boolean(data.showStats),
+        categories: [],
+        shapeByCategory: Boolean(data.shapeByCategory),
+        axes: { x: xAxis, y: yAxis },
+        dividers: {
+            x: sanitizeDivider(data.dividers && data.dividers.x, xAxis),
+            y: sanitizeDivider(data.dividers && data.dividers.y, yAxis)
+        },
+        textLayout: normalizeTextLayout(data.textLayout),
+        canvas: normalizeCanvas(data.canvas),
+        density: normalizeDensity(data.density),
+        annotations: [],
         dataPoints: []
     };
     
+    // Sanitize cell names and colours (state saved before N×M grids has quadrant names)
+    const cells = Array.isArray(data.cells) ? data.cells : quadrantsToCells(data.quadrants);
+    sanitized.cells = resizeCells(sanitized.grid).map((empty, index) => {
+        const cell = cells[index] || {};
+        return {
+            title: String(cell.title || '').substring(0, 40),
+            description: String(cell.description || '').substring(0, 120),
+            color: /^#[0-9a-f]{6}$/i.test(cell.color) ? cell.color : ''
+        };
+    });
+    
+    // Sanitize categories (unique, non-empty names with a palette colour index)
+    if (Array.isArray(data.categories)) {
+        const names = [];
+        sanitized.categories = data.categories
+            .filter(category => category && typeof category.name === 'string')
+            .map((category, index) => ({
+                name: category.name.trim().substring(0, 30),
+                color: Number.isInteger(category.color) && category.color >= 0 ? category.color : index
+            }))
+            .filter(category => {
+                if (!category.name || names.includes(category.name)) return false;
+                names.push(category.name);
+                return true;
+            })
+            .slice(0, 20); // Limit to 20 categories
+    }
+    
     // Sanitize data points
     if (Array.isArray(data.dataPoints)) {
         sanitized.dataPoints = data.dataPoints
             .filter(p => p && p.label)
-            .slice(0, 100) // Limit to 100 points
+            .slice(0, getPointLimit(sanitized.density)) // Limit to 100 points, or more in density mode
             .map(point => ({
                 label: (point.label || '').substring(0, 50),
-                x: Math.max(0, Math.min(100, parseFloat(point.x) || 0)),
-                y: Math.max(0, Math.min(100, parseFloat(point.y) || 0)),
+                x: clampX(parseFloat(point.x) || 0),
+                y: clampY(parseFloat(point.y) || 0),
+                size: parseFloat(point.size) >= 0 ? parseFloat(point.size) : null,
+                category: sanitized.categories.some(category => category.name === point.category) 
+                    ? point.category 
+                    : '',
+                from: point.from && !isNaN(parseFloat(point.from.x)) && !isNaN(parseFloat(point.from.y))
+                    ? {
+                        x: clampX(parseFloat(point.from.x)),
+                        y: clampY(parseFloat(point.from.y))
+                    }
+                    : null,
+                notes: typeof point.notes === 'string' ? point.notes.substring(0, 280) : '',
+                owner: typeof point.owner === 'string' ? point.owner.substring(0, 40) : '',
+                status: typeof point.status === 'string' ? point.status.substring(0, 30) : '',
+                link: typeof point.link === 'string' && point.link.length <= 300 && isSafeUrl(point.link) ? point.link : '',
+                shape: isMarkerShape(point.shape) ? point.shape : '',
                 id: point.id || `point_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
             }));
     }
     
+    // Sanitize annotations (a missing end falls back to the start, as text boxes have none)
+    if (Array.isArray(data.annotations)) {
+        sanitized.annotations = data.annotations
+            .filter(annotation => annotation && isAnnotationType(annotation.type))
+            .slice(0, MAX_ANNOTATIONS)
+            .map(annotation => {
+                const x1 = clampX(parseFloat(annotation.x1) || 0);
+                const y1 = clampY(parseFloat(annotation.y1) || 0);
+                const x2 = parseFloat(annotation.x2);
+                const y2 = parseFloat(annotation.y2);
+                return {
+                    id: annotation.id || `annotation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    type: annotation.type,
+                    x1,
+                    y1,
+                    x2: isNaN(x2) ? x1 : clampX(x2),
+                    y2: isNaN(y2) ? y1 : clampY(y2),
+                    text: String(annotation.text || '').substring(0, MAX_ANNOTATION_TEXT),
+                    color: /^#[0-9a-f]{6}$/i.test(annotation.color) ? annotation.color : '',
+                    arrow: annotation.type === 'line' && Boolean(annotation.arrow)
+                };
+            });
+    }
+    
     return sanitized;
 }
 
+/**
+ * Sanitize a divider position, falling back to the middle of the axis
+ * @param {any} value - Divider position
+ * @param {Object} axis - Sanitized axis configuration
+ * @returns {number} - Divider position within the axis range
+ */
+function sanitizeDivider(value, axis) {
+    const num = parseFloat(value);
+    return isNaN(num) 
+        ? getAxisMidpoint(axis) 
+        : Math.max(axis.min, Math.min(axis.max, num));
+}
+
+/**
+ * Sanitize an axis configuration, falling back to 0-100 when the range is unusable
+ * @param {any} axis - Axis configuration
+ * @returns {Object} - Axis configuration
+ */
+function sanitizeAxis(axis) {
+    const config = axis || {};
+    const min = parseFloat(config.min);
+    const max = parseFloat(config.max);
+    const validRange = isFinite(min) && isFinite(max) && min < max;
+    const ticks = parseInt(config.ticks, 10);
+    
+    return {
+        min: validRange ? min : DEFAULT_AXIS.min,
+        max: validRange ? max : DEFAULT_AXIS.max,
+        prefix: String(config.prefix || '').substring(0, 8),
+        suffix: String(config.suffix || '').substring(0, 8),
+        ticks: isNaN(ticks) ? 0 : Math.max(0, Math.min(MAX_TICKS, ticks)),
+        type: SCALE_TYPES.includes(config.type) ? config.type : DEFAULT_AXIS.type,
+        reversed: Boolean(config.reversed)
+    };
+}
+
 /**
  * Get share URL length
  * @param {Object} data - Matrix data
@@ -0,0 +1,171 @@
+/**
+ * Think2x2 Sonification
+ * Plays positions in the plot as sound, so the layout of a matrix can be
+ * explored without seeing it: pitch rises up the plot, the stereo position
+ * follows it across, and each cell has its own timbre. Labels are spoken
+ * where the browser has speech synthesis.
+ */
+
+// Pitch at the bottom and the top of the plot, in Hz (two octaves)
+const MIN_FREQUENCY = 220;
+const MAX_FREQUENCY = 880;
+
+// Waveform of each cell in reading order, repeating on grids of more than four cells
+const CELL_TIMBRES = ['sine', 'triangle', 'square', 'sawtooth'];
+
+// Volume of each waveform; square and sawtooth waves sound louder, so they play softer
+const TIMBRE_GAINS = {
+    sine: 0.3,
+    triangle: 0.3,
+    square: 0.1,
+    sawtooth: 0.1
+};
+
+// Length of the tone played for a point, and the time constant of glides and fades (seconds)
+const NOTE_DURATION = 0.35;
+const GLIDE_TIME = 0.03;
+
+/**
+ * Check whether the browser can play sonified positions
+ * @returns {boolean} - True if the Web Audio API is available
+ */
+export function isSonificationSupported() {
+    return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+}
+
+/**
+ * Get the pitch for a height in the plot
+ * Pitch rises exponentially, so equal steps up the plot sound like equal
+ * musical intervals.
+ * @param {number} v - Position up the plot, from 0 (bottom) to 100 (top)
+ * @returns {number} - Frequency in Hz
+ */
+export function getFrequency(v) {
+    const share = Math.min(100, Math.max(0, v)) / 100;
+    return MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, share);
+}
+
+/**
+ * Get the stereo position for a position across the plot
+ * @param {number} u - Position across the plot, from 0 (left) to 100 (right)
+ * @returns {number} - Pan from -1 (left) to 1 (right)
+ */
+export function getPan(u) {
+    return Math.min(1, Math.max(-1, u / 50 - 1));
+}
+
+/**
+ * Get the waveform of a cell
+ * @param {number} cellIndex - Cell index in reading order
+ * @returns {string} - Oscillator type
+ */
+export function getCellTimbre(cellIndex) {
+    return CELL_TIMBRES[cellIndex % CELL_TIMBRES.length];
+}
+
+/**
+ * Create a sonifier
+ * Browsers only start audio after a user gesture, so create it in response
+ * to one (e.g., a click). Close it when done to release the audio device.
+ * @returns {Object} - Sonifier {follow, release, play, speak, close}
+ */
+export function createSonifier() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    const output = context.createGain();
+    output.connect(context.destination);
+    
+    // Tone that follows the cursor while it is over the plot
+    let tone = null;
+    
+    // Build an oscillator → gain → panner chain, silent until its gain is raised
+    const createVoice = (timbre, u, v) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const panner = context.createStereoPanner();
+        
+        oscillator.type = timbre;
+        oscillator.frequency.value = getFrequency(v);
+        panner.pan.value = getPan(u);
+        gain.gain.value = 0;
+        
+        oscillator.connect(gain).connect(panner).connect(output);
+        oscillator.start();
+        return { oscillator, gain, panner, timbre };
+    };
+    
+    // Fade a voice out and stop it once silent
+    const fadeOut = (voice) => {
+        const now = context.currentTime;
+        voice.gain.gain.cancelScheduledValues(now);
+        voice.gain.gain.setTargetAtTime(0, now, GLIDE_TIME);
+        voice.oscillator.stop(now + GLIDE_TIME * 8);
+    };
+    
+    return {
+        /**
+         * Sound the cursor position, gliding from the last one
+         * @param {number} u - Position across the plot (0-100)
+         * @param {number} v - Position up the plot (0-100)
+         * @param {number} cellIndex - Cell under the cursor, in reading order
+         */
+        follow(u, v, cellIndex) {
+            const timbre = getCellTimbre(cellIndex);
+            if (tone && tone.timbre !== timbre) {
+                fadeOut(tone);
+                tone = null;
+            }
+            if (!tone) {
+                tone = createVoice(timbre, u, v);
+            }
+            
+            const now = context.currentTime;
+            tone.oscillator.frequency.setTargetAtTime(getFrequency(v), now, GLIDE_TIME);
+            tone.panner.pan.setTargetAtTime(getPan(u), now, GLIDE_TIME);
+            tone.gain.gain.setTargetAtTime(TIMBRE_GAINS[timbre], now, GLIDE_TIME);
+        },
+        
+        /**
+         * Silence the cursor tone (e.g., when the cursor leaves the plot)
+         */
+        release() {
+            if (!tone) return;
+            fadeOut(tone);
+            tone = null;
+        },
+        
+        /**
+         * Play a short tone for a position (e.g., a point)
+         * @param {number} u - Position across the plot (0-100)
+         * @param {number} v - Position up the plot (0-100)
+         * @param {number} cellIndex - Cell of the position, in reading order
+         */
+        play(u, v, cellIndex) {
+            const voice = createVoice(getCellTimbre(cellIndex), u, v);
+            const now = context.currentTime;
+            voice.gain.gain.setTargetAtTime(TIMBRE_GAINS[voice.timbre], now, GLIDE_TIME / 3);
+            voice.gain.gain.setTargetAtTime(0, now + NOTE_DURATION, GLIDE_TIME);
+            voice.oscillator.stop(now + NOTE_DURATION + GLIDE_TIME * 8);
+        },
+        
+        /**
+         * Speak text, cutting off anything still being spoken
+         * Does nothing without speech synthesis.
+         * @param {string} text - Text to speak
+         */
+        speak(text) {
+            if (!('speechSynthesis' in window) || typeof SpeechSynthesisUtterance === 'undefined') return;
+            window.speechSynthesis.cancel();
+            window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+        },
+        
+        /**
+         * Stop all sound and release the audio device
+         */
+        close() {
+            this.release();
+            if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+            context.close();
+        }
+    };
+}
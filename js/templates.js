@@ -3,6 +3,15 @@
  * Defines styling and appearance for different matrix templates
  */
 
+import { DEFAULT_CANVAS, normalizeCanvas, getCanvasScale } from './canvas.js';
+
+// Height of the export footer on the default canvas, and the least it shrinks to
+const FOOTER_HEIGHT = 60;
+const MIN_FOOTER_HEIGHT = 44;
+
+// Shortest plot before the canvas grows to fit long titles and legends
+const MIN_PLOT_HEIGHT = 200;
+
 /**
  * Template Definitions
  * Each template includes colors, fonts, and styling properties
@@ -29,10 +38,16 @@ export const templates = {
         
         // Point styling
         pointColor: '#333333',
+        uncategorizedColor: '#9e9e9e',
         pointRadius: 6,
+        pointMinRadius: 4,
+        pointMaxRadius: 24,
         pointStroke: '#ffffff',
         pointStrokeWidth: 2,
         
+        // Density heatmap colours, from sparse to dense
+        densityColors: ['#e0e0e0', '#9e9e9e', '#424242'],
+        
         // Line weights
         gridLineWidth: 1,
         axisLineWidth: 2,
@@ -82,10 +97,16 @@ export const templates = {
             '#689f38', '#ffa000', '#512da8', '#00796b', '#e64a19', '#afb42b',
             '#5d4037', '#455a64'
         ],
+        uncategorizedColor: '#90a4ae',
         pointRadius: 8,
+        pointMinRadius: 5,
+        pointMaxRadius: 28,
         pointStroke: '#ffffff',
         pointStrokeWidth: 3,
         
+        // Density heatmap colours, from sparse to dense
+        densityColors: ['#bbdefb', '#42a5f5', '#0d47a1'],
+        
         // Line weights
         gridLineWidth: 1,
         axisLineWidth: 3,
@@ -137,10 +158,16 @@ export const templates = {
             '#f44336', '#cddc39', '#009688', '#ff5722', '#afb42b', '#303f9f',
             '#00796b', '#e64a19'
         ],
+        uncategorizedColor: '#757575',
         pointRadius: 10,
+        pointMinRadius: 6,
+        pointMaxRadius: 32,
         pointStroke: '#ffffff',
         pointStrokeWidth: 3,
         
+        // Density heatmap colours, from sparse to dense
+        densityColors: ['#fff176', '#ff9800', '#d50000'],
+        
         // Line weights
         gridLineWidth: 2,
         axisLineWidth: 4,
@@ -162,12 +189,187 @@ export const templates = {
         showGrid: true,
         pointShadow: true,
         boldAxisLabels: true
+    },
+    
+    minimalDark: {
+        name: 'Minimal Dark',
+        description: 'Clean monochrome design on a dark background',
+        
+        // Colors
+        background: '#121212',
+        gridColor: '#2e2e2e',
+        axisColor: '#d6d6d6',
+        textColor: '#d6d6d6',
+        titleColor: '#ffffff',
+        
+        // Quadrant colors (subtle greys, lighter than the background)
+        quadrants: {
+            topLeft: '#3a3a3a',
+            topRight: '#454545',
+            bottomLeft: '#505050',
+            bottomRight: '#3a3a3a'
+        },
+        
+        // Point styling
+        pointColor: '#e0e0e0',
+        uncategorizedColor: '#757575',
+        pointRadius: 6,
+        pointMinRadius: 4,
+        pointMaxRadius: 24,
+        pointStroke: '#121212',
+        pointStrokeWidth: 2,
+        
+        // Density heatmap colours, from sparse to dense
+        densityColors: ['#3a3a3a', '#8a8a8a', '#f0f0f0'],
+        
+        // Line weights
+        gridLineWidth: 1,
+        axisLineWidth: 2,
+        
+        // Typography
+        titleFontSize: 32,
+        subtitleFontSize: 18,
+        axisFontSize: 14,
+        labelFontSize: 12,
+        footerFontSize: 10,
+        
+        // Spacing
+        padding: 60,
+        titleMargin: 20,
+        
+        // Effects
+        showQuadrantLabels: false,
+        showGrid: true,
+        pointShadow: false
+    },
+    
+    modernDark: {
+        name: 'Modern Dark',
+        description: 'Contemporary design with color accents on deep slate',
+        
+        // Colors
+        background: '#0f172a',
+        gridColor: '#1e293b',
+        axisColor: '#cbd5e1',
+        textColor: '#cbd5e1',
+        titleColor: '#f8fafc',
+        
+        // Quadrant colors (blues and greens, tinted over the background)
+        quadrants: {
+            topLeft: '#42a5f5',
+            topRight: '#66bb6a',
+            bottomLeft: '#ffa726',
+            bottomRight: '#ec407a'
+        },
+        quadrantOpacity: 0.12,
+        
+        // Point styling with 32 distinct colors, lighter shades to stand out on dark
+        pointColors: [
+            '#64b5f6', '#81c784', '#ffb74d', '#f06292', '#ba68c8', '#4dd0e1',
+            '#e57373', '#7986cb', '#aed581', '#ffd54f', '#9575cd', '#4db6ac',
+            '#ff8a65', '#dce775', '#a1887f', '#90a4ae', '#42a5f5', '#66bb6a',
+            '#ffa726', '#ec407a', '#ab47bc', '#26c6da', '#ef5350', '#5c6bc0',
+            '#9ccc65', '#ffca28', '#7e57c2', '#26a69a', '#ff7043', '#d4e157',
+            '#8d6e63', '#78909c'
+        ],
+        uncategorizedColor: '#64748b',
+        pointRadius: 8,
+        pointMinRadius: 5,
+        pointMaxRadius: 28,
+        pointStroke: '#0f172a',
+        pointStrokeWidth: 3,
+        
+        // Density heatmap colours, from sparse to dense
+        densityColors: ['#1e3a8a', '#3b82f6', '#dbeafe'],
+        
+        // Line weights
+        gridLineWidth: 1,
+        axisLineWidth: 3,
+        
+        // Typography
+        titleFontSize: 36,
+        subtitleFontSize: 20,
+        axisFontSize: 16,
+        labelFontSize: 13,
+        footerFontSize: 10,
+        
+        // Spacing
+        padding: 70,
+        titleMargin: 25,
+        
+        // Effects
+        showQuadrantLabels: true,
+        quadrantLabelOpacity: 0.6,
+        showGrid: true,
+        pointShadow: false
+    },
+    
+    vibrantDark: {
+        name: 'Vibrant Dark',
+        description: 'Bold colors and high contrast on black',
+        
+        // Colors
+        background: '#0a0a0a',
+        gridColor: '#3d3d3d',
+        axisColor: '#eeeeee',
+        textColor: '#eeeeee',
+        titleColor: '#ffffff',
+        
+        // Quadrant colors (bold and distinct)
+        quadrants: {
+            topLeft: '#ffeb3b',
+            topRight: '#4caf50',
+            bottomLeft: '#ff5722',
+            bottomRight: '#2196f3'
+        },
+        quadrantOpacity: 0.25,
+        
+        // Point styling with 32 distinct colors
+        pointColors: [
+            '#ff5252', '#e040fb', '#448aff', '#69f0ae', '#ffab40', '#ff4081',
+            '#7c4dff', '#18ffff', '#b2ff59', '#ffd740', '#bcaaa4', '#b0bec5',
+            '#ff80ab', '#ea80fc', '#82b1ff', '#b9f6ca', '#ffd180', '#d7ccc8',
+            '#b388ff', '#84ffff', '#ccff90', '#ffe57f', '#cfd8dc', '#8c9eff',
+            '#ff8a80', '#f4ff81', '#a7ffeb', '#ff9e80', '#eeff41', '#536dfe',
+            '#64ffda', '#ff6e40'
+        ],
+        uncategorizedColor: '#9e9e9e',
+        pointRadius: 10,
+        pointMinRadius: 6,
+        pointMaxRadius: 32,
+        pointStroke: '#0a0a0a',
+        pointStrokeWidth: 3,
+        
+        // Density heatmap colours, from sparse to dense
+        densityColors: ['#b71c1c', '#ff9800', '#ffff8d'],
+        
+        // Line weights
+        gridLineWidth: 2,
+        axisLineWidth: 4,
+        
+        // Typography
+        titleFontSize: 40,
+        subtitleFontSize: 22,
+        axisFontSize: 18,
+        labelFontSize: 14,
+        footerFontSize: 11,
+        
+        // Spacing
+        padding: 80,
+        titleMargin: 30,
+        
+        // Effects
+        showQuadrantLabels: true,
+        quadrantLabelOpacity: 0.8,
+        showGrid: true,
+        pointShadow: false,
+        boldAxisLabels: true
     }
 };
 
 /**
  * Get template configuration by name
- * @param {string} templateName - Name of template (minimal, modern, vibrant)
+ * @param {string} templateName - Name of template (e.g., minimal, modern, vibrant, modernDark)
  * @returns {Object} - Template configuration object
  */
 export function getTemplate(templateName) {
@@ -192,41 +394,133 @@ export function getPointColor(templateName, index) {
 }
 
 /**
- * Get quadrant label text based on position
- * @param {string} position - Quadrant position (topLeft, topRight, bottomLeft, bottomRight)
+ * Quadrant positions in reading order (matches the keys of template.quadrants
+ * and the cell order of a 2×2 grid)
+ */
+export const QUADRANT_POSITIONS = ['topLeft', 'topRight', 'bottomLeft', 'bottomRight'];
+
+/**
+ * Level names along an axis split into a number of cells, from low to high
+ */
+const CELL_LEVELS = {
+    1: [''],
+    2: ['Low', 'High'],
+    3: ['Low', 'Medium', 'High'],
+    4: ['Low', 'Mid-Low', 'Mid-High', 'High']
+};
+
+/**
+ * Get descriptive label text for a grid cell (e.g., "High Feasibility\nLow Impact")
+ * @param {number} row - Row index from the top
+ * @param {number} column - Column index from the left
+ * @param {Object} grid - Grid size {rows, columns}
  * @param {string} xAxisName - X-axis name
  * @param {string} yAxisName - Y-axis name
- * @returns {string} - Descriptive quadrant label
+ * @param {Object} axes - Axis configurations {x, y}; reversed axes swap Low and High
+ * @returns {string} - Descriptive cell label
  */
-export function getQuadrantLabel(position, xAxisName = 'X', yAxisName = 'Y') {
-    const labels = {
-        topLeft: `Low ${xAxisName}\nHigh ${yAxisName}`,
-        topRight: `High ${xAxisName}\nHigh ${yAxisName}`,
-        bottomLeft: `Low ${xAxisName}\nLow ${yAxisName}`,
-        bottomRight: `High ${xAxisName}\nLow ${yAxisName}`
-    };
+export function getCellLabel(row, column, grid, xAxisName = 'X', yAxisName = 'Y', axes = {}) {
+    const xLevels = CELL_LEVELS[grid.columns] || [];
+    const yLevels = CELL_LEVELS[grid.rows] || [];
+    const xLevel = axes.x && axes.x.reversed ? xLevels[grid.columns - 1 - column] : xLevels[column];
+    const yLevel = axes.y && axes.y.reversed ? yLevels[row] : yLevels[grid.rows - 1 - row];
     
-    return labels[position] || '';
+    return [
+        xLevel ? `${xLevel} ${xAxisName}` : '',
+        yLevel ? `${yLevel} ${yAxisName}` : ''
+    ].filter(Boolean).join('\n');
 }
 
 /**
- * Calculate SVG dimensions based on template and content
+ * Get the default background colour of a grid cell
+ * Blends the template's four quadrant colours across the grid, so a 2×2 grid
+ * uses them exactly and larger grids shade smoothly between the corners.
+ * @param {Object} template - Template configuration
+ * @param {number} row - Row index from the top
+ * @param {number} column - Column index from the left
+ * @param {Object} grid - Grid size {rows, columns}
+ * @returns {string} - Color hex code
+ */
+export function getCellColor(template, row, column, grid) {
+    const u = grid.columns > 1 ? column / (grid.columns - 1) : 0;
+    const v = grid.rows > 1 ? row / (grid.rows - 1) : 0;
+    const { topLeft, topRight, bottomLeft, bottomRight } = template.quadrants;
+    
+    return mixColors(mixColors(topLeft, topRight, u), mixColors(bottomLeft, bottomRight, u), v);
+}
+
+/**
+ * Get the heatmap colour for a density level
+ * Blends along the template's density colours, from sparse to dense.
+ * @param {Object} template - Template configuration
+ * @param {number} level - Density level between 0 and 1
+ * @returns {string} - Color hex code
+ */
+export function getDensityColor(template, level) {
+    const stops = template.densityColors;
+    const position = Math.min(Math.max(level, 0), 1) * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    
+    return mixColors(stops[index], stops[index + 1], position - index);
+}
+
+/**
+ * Linearly mix two hex colours
+ * @param {string} from - Color hex code at t = 0
+ * @param {string} to - Color hex code at t = 1
+ * @param {number} t - Mix amount between 0 and 1
+ * @returns {string} - Color hex code
+ */
+function mixColors(from, to, t) {
+    if (t <= 0) return from;
+    if (t >= 1) return to;
+    
+    const parse = hex => [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16));
+    const [a, b] = [parse(from), parse(to)];
+    return '#' + a.map((channel, i) => 
+        Math.round(channel + (b[i] - channel) * t).toString(16).padStart(2, '0')
+    ).join('');
+}
+
+/**
+ * Calculate SVG dimensions based on template, canvas size and content
+ * Padding, title margin and footer scale with the canvas, so every size keeps
+ * the proportions of the 800×800 default. Wrapped titles, legends and the
+ * footer fit on the canvas by taking space from the plot; the canvas only
+ * grows taller when that would leave the plot too short. A point key panel
+ * is added below the legends, growing the canvas by its height.
  * @param {Object} template - Template configuration
  * @param {boolean} includeFooter - Whether to include footer space
- * @returns {Object} - Dimensions object {width, height, plotWidth, plotHeight}
+ * @param {number} legendHeight - Space to reserve for legends below the plot
+ * @param {number} titleHeight - Extra space for a title or subtitle wrapped onto more lines
+ * @param {Object} canvas - Canvas size {preset, width, height}
+ * @param {number} keyHeight - Height of the point key panel below the legends
+ * @returns {Object} - Dimensions object {width, height, plotWidth, plotHeight, legendY, keyY}
  */
-export function calculateDimensions(template, includeFooter = false) {
-    const baseWidth = 800;
-    const baseHeight = 800;
-    const footerHeight = includeFooter ? 60 : 0;
+export function calculateDimensions(template, includeFooter = false, legendHeight = 0, titleHeight = 0, 
+    canvas = DEFAULT_CANVAS, keyHeight = 0) {
+    const { width, height } = normalizeCanvas(canvas);
+    const scale = getCanvasScale(canvas);
+    const padding = Math.round(template.padding * scale);
+    const titleMargin = Math.round(template.titleMargin * scale);
+    const footerHeight = includeFooter ? Math.max(MIN_FOOTER_HEIGHT, Math.round(FOOTER_HEIGHT * scale)) : 0;
+    
+    const reserved = (padding * 2) + (titleMargin * 3) + titleHeight + legendHeight + footerHeight;
+    const plotHeight = Math.max(MIN_PLOT_HEIGHT, height - reserved);
+    const totalHeight = plotHeight + reserved + keyHeight;
     
     return {
-        width: baseWidth,
-        height: baseHeight + footerHeight,
-        plotWidth: baseWidth - (template.padding * 2),
-        plotHeight: baseHeight - (template.padding * 2) - (template.titleMargin * 3),
-        padding: template.padding,
-        titleMargin: template.titleMargin,
+        width,
+        height: totalHeight,
+        plotWidth: width - (padding * 2),
+        plotHeight,
+        padding,
+        titleMargin,
+        titleHeight,
+        legendY: totalHeight - legendHeight - keyHeight - footerHeight,
+        legendHeight,
+        keyY: totalHeight - keyHeight - footerHeight,
+        keyHeight,
         footerHeight
     };
 }
@@ -270,7 +564,7 @@ export function getTemplateNames() {
  * @returns {boolean} - True if valid template name
  */
 export function isValidTemplate(templateName) {
-    return templateName in templates;
+    return Object.keys(templates).includes(templateName);
 }
 
 /**
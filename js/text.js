@@ -0,0 +1,274 @@
+/**
+ * Think2x2 Text Layout
+ * Measures text and fits it to a width by wrapping it into lines or shortening it
+ */
+
+import { escapeXml } from './utils.js';
+
+// Ways to fit text that is too wide: wrap onto more lines, or shorten with an ellipsis
+export const TEXT_OVERFLOW_MODES = ['wrap', 'ellipsis'];
+
+// Ways to label points: the label text beside each marker, or a number on
+// each marker keyed to a list of the full labels below the matrix
+export const POINT_LABEL_MODES = ['text', 'numbered'];
+
+/**
+ * Default text layout (wrap long text, point labels up to 160px wide beside
+ * each marker)
+ */
+export const DEFAULT_TEXT_LAYOUT = {
+    overflow: 'wrap',
+    labelWidth: 160,
+    labels: 'text'
+};
+
+// Allowed range for the point label width setting
+export const MIN_LABEL_WIDTH = 60;
+export const MAX_LABEL_WIDTH = 400;
+
+// Line height as a multiple of the font size
+export const LINE_HEIGHT = 1.2;
+
+const ELLIPSIS = '…';
+
+// Advance widths of printable ASCII (space to ~) in thousandths of an em,
+// from Helvetica's font metrics. Used when there is no canvas to measure with.
+const CHAR_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Width of other characters: most scripts, and wide ones (CJK, emoji)
+const DEFAULT_CHAR_WIDTH = 556;
+const WIDE_CHAR_WIDTH = 1000;
+
+// Bold text is slightly wider than the regular metrics
+const BOLD_WIDTH_FACTOR = 1.07;
+
+let measureContext;
+
+/**
+ * Get a shared canvas context for text measurement
+ * @returns {CanvasRenderingContext2D|null} - Context, or null outside the browser
+ */
+function getMeasureContext() {
+    if (measureContext === undefined) {
+        measureContext = null;
+        if (typeof document !== 'undefined' && document.createElement) {
+            const canvas = document.createElement('canvas');
+            measureContext = canvas.getContext ? canvas.getContext('2d') : null;
+        }
+    }
+    return measureContext;
+}
+
+/**
+ * Estimate the width of a text string from the metrics table
+ * @param {string} text - Text to measure
+ * @param {number} fontSize - Font size in pixels
+ * @param {string|number} fontWeight - CSS font weight
+ * @returns {number} - Width in pixels
+ */
+function estimateTextWidth(text, fontSize, fontWeight) {
+    let units = 0;
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code >= 32 && code <= 126) {
+            units += CHAR_WIDTHS[code - 32];
+        } else {
+            units += code >= 0x1100 ? WIDE_CHAR_WIDTH : DEFAULT_CHAR_WIDTH;
+        }
+    }
+    
+    const weightFactor = parseInt(fontWeight, 10) >= 600 ? BOLD_WIDTH_FACTOR : 1;
+    return units / 1000 * fontSize * weightFactor;
+}
+
+/**
+ * Measure the rendered width of a text string
+ * Uses canvas measureText in the browser, and the metrics table elsewhere
+ * @param {string} text - Text to measure
+ * @param {number} fontSize - Font size in pixels
+ * @param {string|number} fontWeight - CSS font weight
+ * @param {string} fontFamily - CSS font family
+ * @returns {number} - Width in pixels
+ */
+export function measureTextWidth(text, fontSize, fontWeight = 500, fontFamily = 'Inter, sans-serif') {
+    const ctx = getMeasureContext();
+    
+    if (ctx) {
+        ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
+        return ctx.measureText(text).width;
+    }
+    
+    return estimateTextWidth(text, fontSize, fontWeight);
+}
+
+/**
+ * Fill in missing or invalid text layout settings
+ * @param {Object} layout - Partial text layout {overflow, labelWidth, labels}
+ * @returns {Object} - Complete text layout
+ */
+export function normalizeTextLayout(layout) {
+    const config = { ...DEFAULT_TEXT_LAYOUT, ...(layout || {}) };
+    const labelWidth = parseFloat(config.labelWidth);
+    
+    return {
+        overflow: TEXT_OVERFLOW_MODES.includes(config.overflow) ? config.overflow : DEFAULT_TEXT_LAYOUT.overflow,
+        labelWidth: isNaN(labelWidth)
+            ? DEFAULT_TEXT_LAYOUT.labelWidth
+            : Math.max(MIN_LABEL_WIDTH, Math.min(MAX_LABEL_WIDTH, labelWidth)),
+        labels: POINT_LABEL_MODES.includes(config.labels) ? config.labels : DEFAULT_TEXT_LAYOUT.labels
+    };
+}
+
+/**
+ * Check whether a text layout uses the default settings
+ * @param {Object} layout - Text layout
+ * @returns {boolean} - True if the layout matches DEFAULT_TEXT_LAYOUT
+ */
+export function isDefaultTextLayout(layout) {
+    const { overflow, labelWidth, labels } = normalizeTextLayout(layout);
+    return overflow === DEFAULT_TEXT_LAYOUT.overflow && 
+        labelWidth === DEFAULT_TEXT_LAYOUT.labelWidth && 
+        labels === DEFAULT_TEXT_LAYOUT.labels;
+}
+
+/**
+ * Shorten text with an ellipsis until it fits a width
+ * @param {string} text - Text to shorten
+ * @param {number} maxWidth - Available width in pixels
+ * @param {Function} measure - Measures the width of a string
+ * @returns {string} - Text that fits, ending in an ellipsis if it was shortened
+ */
+function truncateText(text, maxWidth, measure) {
+    if (measure(text) <= maxWidth) return text;
+    
+    // Binary search for the longest prefix that fits with the ellipsis
+    const chars = Array.from(text);
+    let low = 0;
+    let high = chars.length;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (measure(chars.slice(0, mid).join('').trimEnd() + ELLIPSIS) <= maxWidth) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    
+    return chars.slice(0, low).join('').trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Break a word that is wider than the available width into pieces that fit
+ * @returns {Array<string>} - Pieces of the word
+ */
+function breakWord(word, maxWidth, measure) {
+    const pieces = [];
+    let piece = '';
+    for (const char of word) {
+        if (piece && measure(piece + char) > maxWidth) {
+            pieces.push(piece);
+            piece = char;
+        } else {
+            piece += char;
+        }
+    }
+    if (piece) pieces.push(piece);
+    return pieces;
+}
+
+/**
+ * Fit text to a width
+ * In wrap mode, text wraps at spaces onto up to maxLines lines (long words
+ * are broken) and the last line is shortened if text is left over. In
+ * ellipsis mode, text stays on one line and is shortened with an ellipsis.
+ * @param {string} text - Text to fit
+ * @param {Object} options - Layout options
+ * @param {number} options.fontSize - Font size in pixels
+ * @param {string|number} options.fontWeight - CSS font weight
+ * @param {string} options.fontFamily - CSS font family
+ * @param {number} options.maxWidth - Available width in pixels
+ * @param {number} options.maxLines - Most lines to wrap onto
+ * @param {string} options.overflow - 'wrap' or 'ellipsis'
+ * @returns {Array<string>} - Lines of text (at least one)
+ */
+export function fitText(text, options) {
+    const {
+        fontSize,
+        fontWeight = 500,
+        fontFamily = 'Inter, sans-serif',
+        maxWidth,
+        maxLines = 2,
+        overflow = DEFAULT_TEXT_LAYOUT.overflow
+    } = options;
+    const measure = value => measureTextWidth(value, fontSize, fontWeight, fontFamily);
+    const content = String(text || '').replace(/\s+/g, ' ').trim();
+    
+    if (overflow === 'ellipsis' || maxLines <= 1) {
+        return [truncateText(content, maxWidth, measure)];
+    }
+    
+    const words = content.split(' ').flatMap(word =>
+        measure(word) > maxWidth ? breakWord(word, maxWidth, measure) : [word]
+    );
+    
+    const lines = [];
+    let line = '';
+    words.forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && measure(candidate) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    lines.push(line);
+    
+    if (lines.length <= maxLines) return lines;
+    
+    // Shorten the last line that fits, carrying the rest of the text into it
+    const kept = lines.slice(0, maxLines - 1);
+    kept.push(truncateText(lines.slice(maxLines - 1).join(' '), maxWidth, measure));
+    return kept;
+}
+
+/**
+ * Measure the widest of a set of lines
+ * @param {Array<string>} lines - Lines of text
+ * @param {number} fontSize - Font size in pixels
+ * @param {string|number} fontWeight - CSS font weight
+ * @param {string} fontFamily - CSS font family
+ * @returns {number} - Width in pixels
+ */
+export function measureLines(lines, fontSize, fontWeight = 500, fontFamily = 'Inter, sans-serif') {
+    return Math.max(0, ...lines.map(line => measureTextWidth(line, fontSize, fontWeight, fontFamily)));
+}
+
+/**
+ * Render lines of text as the content of a <text> element
+ * A single line is plain text; more lines become <tspan>s, placed so the
+ * first ('top'), middle or last ('bottom') line sits on the text's y.
+ * @param {Array<string>} lines - Lines of text (unescaped)
+ * @param {number} x - X position shared by every line
+ * @param {number} fontSize - Font size in pixels
+ * @param {string} align - Which line sits on y: 'top', 'middle' or 'bottom'
+ * @returns {string} - Escaped text content or <tspan> elements
+ */
+export function renderTextLines(lines, x, fontSize, align = 'top') {
+    if (lines.length === 1) return escapeXml(lines[0]);
+    
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const offsets = { top: 0, middle: (lines.length - 1) / 2, bottom: lines.length - 1 };
+    const firstDy = -(offsets[align] || 0) * lineHeight;
+    
+    return lines.map((line, index) =>
+        `<tspan x="${x}" dy="${index === 0 ? firstDy : lineHeight}">${escapeXml(line)}</tspan>`
+    ).join('');
+}
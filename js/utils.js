@@ -3,6 +3,8 @@
  * Provides validation, sanitization, and helper functions
  */
 
+import { normalizeAxis } from './scales.js';
+
 /**
  * Sanitize user input to prevent XSS attacks
  * Escapes HTML special characters
@@ -92,22 +94,6 @@ export function generateFilename(title, extension) {
     return `think2x2_${sanitizedTitle}_${timestamp}.${extension}`;
 }
 
-/**
- * Determine which quadrant a point belongs to
- * @param {number} x - X coordinate (0-100)
- * @param {number} y - Y coordinate (0-100)
- * @returns {string} - Quadrant name
- */
-export function getQuadrant(x, y) {
-    const midX = 50;
-    const midY = 50;
-    
-    if (x >= midX && y >= midY) return 'Top Right';
-    if (x < midX && y >= midY) return 'Top Left';
-    if (x < midX && y < midY) return 'Bottom Left';
-    return 'Bottom Right';
-}
-
 /**
  * Debounce function to limit rapid function calls
  * @param {Function} func - Function to debounce
@@ -215,16 +201,25 @@ export function validateFormData(data) {
         errors.push('Y-axis name is required');
     }
     
+    const xAxis = normalizeAxis(data.axes && data.axes.x);
+    const yAxis = normalizeAxis(data.axes && data.axes.y);
+    if (xAxis.min >= xAxis.max) {
+        errors.push('X-axis minimum must be below its maximum');
+    }
+    if (yAxis.min >= yAxis.max) {
+        errors.push('Y-axis minimum must be below its maximum');
+    }
+    
     if (data.dataPoints && Array.isArray(data.dataPoints)) {
         data.dataPoints.forEach((point, index) => {
             if (!point.label || point.label.trim().length === 0) {
                 errors.push(`Point ${index + 1}: Label is required`);
             }
-            if (!isValidNumber(point.x, 0, 100)) {
-                errors.push(`Point ${index + 1}: X value must be between 0 and 100`);
+            if (!isValidNumber(point.x, xAxis.min, xAxis.max)) {
+                errors.push(`Point ${index + 1}: X value must be between ${xAxis.min} and ${xAxis.max}`);
             }
-            if (!isValidNumber(point.y, 0, 100)) {
-                errors.push(`Point ${index + 1}: Y value must be between 0 and 100`);
+            if (!isValidNumber(point.y, yAxis.min, yAxis.max)) {
+                errors.push(`Point ${index + 1}: Y value must be between ${yAxis.min} and ${yAxis.max}`);
             }
         });
     }
@@ -271,6 +266,21 @@ export function escapeXml(str) {
         .replace(/'/g, '&apos;');
 }
 
+/**
+ * Check that a link is an absolute http(s) URL
+ * Other schemes (e.g., javascript:) are never rendered as links.
+ * @param {string} str - Link to check
+ * @returns {boolean} - True for http: and https: URLs
+ */
+export function isSafeUrl(str) {
+    try {
+        const url = new URL(str);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
 /**
  * Create a deep clone of an object
  * @param {Object} obj - Object to clone
@@ -0,0 +1,112 @@
+/**
+ * Think2x2 Preview Viewport
+ * Zooms and pans the preview by moving its viewBox over the full canvas
+ */
+
+// Closest zoom, as a multiple of the full canvas
+export const MAX_ZOOM = 8;
+
+// Zoom factor of a single zoom in/out step
+export const ZOOM_STEP = 1.5;
+
+/**
+ * Get the view showing the whole canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} - View {x, y, width, height} in SVG user units
+ */
+export function getFullView(width, height) {
+    return { x: 0, y: 0, width, height };
+}
+
+/**
+ * Check whether a view shows the whole canvas
+ * @param {Object|null} view - View, or null for the whole canvas
+ * @param {Object} full - Full view from getFullView
+ * @returns {boolean} - True if nothing is zoomed in
+ */
+export function isFullView(view, full) {
+    return !view || view.width >= full.width;
+}
+
+/**
+ * Get how far a view is zoomed in
+ * @param {Object|null} view - View, or null for the whole canvas
+ * @param {Object} full - Full view from getFullView
+ * @returns {number} - Zoom level (1 for the whole canvas)
+ */
+export function getZoomLevel(view, full) {
+    return view ? full.width / view.width : 1;
+}
+
+/**
+ * Keep a view inside the canvas, between no zoom and MAX_ZOOM
+ * Views always keep the aspect ratio of the canvas, so the preview does not
+ * change shape while zooming.
+ * @param {Object} view - View to clamp
+ * @param {Object} full - Full view from getFullView
+ * @returns {Object} - Clamped view
+ */
+export function clampView(view, full) {
+    const width = Math.min(Math.max(view.width, full.width / MAX_ZOOM), full.width);
+    const height = width * full.height / full.width;
+    
+    return {
+        x: Math.min(Math.max(view.x, full.x), full.x + full.width - width),
+        y: Math.min(Math.max(view.y, full.y), full.y + full.height - height),
+        width,
+        height
+    };
+}
+
+/**
+ * Zoom a view around an anchor that stays in place on screen
+ * @param {Object} view - Current view
+ * @param {Object} full - Full view from getFullView
+ * @param {number} factor - Zoom factor (above 1 zooms in)
+ * @param {Object} anchor - Anchor {x, y} in SVG user units
+ * @returns {Object} - Zoomed view
+ */
+export function zoomView(view, full, factor, anchor) {
+    const width = Math.min(Math.max(view.width / factor, full.width / MAX_ZOOM), full.width);
+    const scale = width / view.width;
+    
+    return clampView({
+        x: anchor.x - (anchor.x - view.x) * scale,
+        y: anchor.y - (anchor.y - view.y) * scale,
+        width,
+        height: view.height * scale
+    }, full);
+}
+
+/**
+ * Move a view by a distance in SVG user units
+ * @param {Object} view - Current view
+ * @param {Object} full - Full view from getFullView
+ * @param {number} dx - Horizontal distance
+ * @param {number} dy - Vertical distance
+ * @returns {Object} - Moved view
+ */
+export function panView(view, full, dx, dy) {
+    return clampView({ ...view, x: view.x + dx, y: view.y + dy }, full);
+}
+
+/**
+ * Get a view that fits a rectangle (e.g., a quadrant) with some margin
+ * @param {Object} rect - Rectangle {x, y, width, height} in SVG user units
+ * @param {Object} full - Full view from getFullView
+ * @param {number} margin - Space to keep around the rectangle
+ * @returns {Object} - View centred on the rectangle
+ */
+export function fitView(rect, full, margin = 24) {
+    const aspect = full.width / full.height;
+    const width = Math.max(rect.width + margin * 2, (rect.height + margin * 2) * aspect);
+    const height = width / aspect;
+    
+    return clampView({
+        x: rect.x + rect.width / 2 - width / 2,
+        y: rect.y + rect.height / 2 - height / 2,
+        width,
+        height
+    }, full);
+}